@@ -10,7 +10,9 @@ CREATE TABLE IF NOT EXISTS users (
     username TEXT UNIQUE NOT NULL,
     is_online BOOLEAN DEFAULT false,
     is_busy BOOLEAN DEFAULT false,
-    last_seen TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    -- Combined over the user's tabs and devices; is_online and is_busy follow it
+    status TEXT NOT NULL DEFAULT 'offline' CHECK (status IN ('online', 'away', 'busy', 'in-call', 'dnd', 'offline')),
+    last_seen TIMESTAMP WITH TIME ZONE DEFAULT NOW(), -- refreshed every 30 seconds while online
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -29,22 +31,39 @@ CREATE TABLE IF NOT EXISTS calls (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     room_id UUID REFERENCES rooms(id) ON DELETE CASCADE,
     caller_username TEXT NOT NULL,
-    receiver_username TEXT NOT NULL,
-    call_status TEXT NOT NULL CHECK (call_status IN ('calling', 'ringing', 'accepted', 'declined', 'ended', 'missed', 'busy')),
+    receiver_username TEXT, -- NULL for group calls; see call_participants
+    is_group BOOLEAN DEFAULT false,
+    media_type TEXT NOT NULL DEFAULT 'audio' CHECK (media_type IN ('audio', 'video')),
+    call_status TEXT NOT NULL CHECK (call_status IN ('calling', 'ringing', 'accepted', 'declined', 'ended', 'missed', 'busy', 'held')),
     start_time TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    answered_at TIMESTAMP WITH TIME ZONE, -- set by trigger the first time the call is accepted
     end_time TIMESTAMP WITH TIME ZONE,
     duration INTEGER DEFAULT 0,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Call participants table for group calls (one row per invited user)
+CREATE TABLE IF NOT EXISTS call_participants (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    call_id UUID REFERENCES calls(id) ON DELETE CASCADE,
+    username TEXT NOT NULL,
+    invited_by TEXT,
+    status TEXT NOT NULL DEFAULT 'invited' CHECK (status IN ('invited', 'joined', 'declined', 'busy', 'missed', 'left')),
+    joined_at TIMESTAMP WITH TIME ZONE,
+    left_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(call_id, username)
+);
+
 -- Signaling table for WebRTC signaling data (offers, answers, ICE candidates)
 CREATE TABLE IF NOT EXISTS signaling (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     call_id UUID REFERENCES calls(id) ON DELETE CASCADE,
     sender_username TEXT NOT NULL,
     receiver_username TEXT NOT NULL,
-    signal_type TEXT NOT NULL CHECK (signal_type IN ('offer', 'answer', 'ice-candidate')),
+    signal_type TEXT NOT NULL CHECK (signal_type IN ('offer', 'answer', 'ice-candidate', 'recording-consent')),
     signal_data JSONB NOT NULL,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -53,10 +72,17 @@ CREATE TABLE IF NOT EXISTS signaling (
 CREATE TABLE IF NOT EXISTS call_recordings (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     call_id UUID REFERENCES calls(id) ON DELETE CASCADE,
+    -- Each participant uploads their own copy of the call
+    recorded_by TEXT NOT NULL,
+    -- Everyone on the call, for filtering recordings by contact
+    participants TEXT[] NOT NULL DEFAULT '{}',
+    -- Manifest listing the uploaded segments: recordings/<call id>/<username>/manifest.json
     storage_path TEXT NOT NULL,
     file_size BIGINT,
     duration INTEGER,
     recording_status TEXT DEFAULT 'recording' CHECK (recording_status IN ('recording', 'completed', 'failed')),
+    -- How each participant agreed to the recording: {"username": "always" | "ask"}
+    consent JSONB NOT NULL DEFAULT '{}'::jsonb,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -72,6 +98,23 @@ CREATE TABLE IF NOT EXISTS notifications (
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Call quality table (one summary per connection per participant, written at hangup)
+CREATE TABLE IF NOT EXISTS call_quality (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    call_id UUID REFERENCES calls(id) ON DELETE CASCADE,
+    username TEXT NOT NULL, -- who measured
+    remote_username TEXT NOT NULL, -- other end of the connection
+    samples INTEGER DEFAULT 0,
+    poor_samples INTEGER DEFAULT 0,
+    avg_rtt_ms INTEGER,
+    max_rtt_ms INTEGER,
+    avg_jitter_ms INTEGER,
+    packet_loss_pct NUMERIC(5, 2),
+    avg_bitrate_kbps INTEGER,
+    candidate_type TEXT CHECK (candidate_type IN ('host', 'srflx', 'prflx', 'relay')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- Create indexes for better query performance
 CREATE INDEX idx_users_username ON users(username);
 CREATE INDEX idx_users_online ON users(is_online) WHERE is_online = true;
@@ -80,47 +123,131 @@ CREATE INDEX idx_rooms_users ON rooms(user1, user2);
 CREATE INDEX idx_calls_status ON calls(call_status);
 CREATE INDEX idx_calls_participants ON calls(caller_username, receiver_username);
 CREATE INDEX idx_calls_room ON calls(room_id);
+CREATE INDEX idx_calls_start_time ON calls(start_time DESC);
+CREATE INDEX idx_participants_call ON call_participants(call_id);
+CREATE INDEX idx_participants_username ON call_participants(username);
 CREATE INDEX idx_signaling_call ON signaling(call_id);
 CREATE INDEX idx_signaling_receiver ON signaling(receiver_username);
 CREATE INDEX idx_recordings_call ON call_recordings(call_id);
+CREATE INDEX idx_recordings_recorded_by ON call_recordings(recorded_by, created_at DESC);
 CREATE INDEX idx_notifications_username ON notifications(username) WHERE is_read = false;
+CREATE INDEX idx_call_quality_call ON call_quality(call_id);
+CREATE INDEX idx_call_quality_username ON call_quality(username);
+
+-- Identity comes from the caller's JWT, never from a username the client
+-- sends: a `username` claim in a host-app JWT, or `app_metadata.username`
+-- for Supabase Auth users (app_metadata can only be set server-side)
+CREATE OR REPLACE FUNCTION current_username()
+RETURNS TEXT AS $$
+    SELECT COALESCE(
+        NULLIF(auth.jwt() ->> 'username', ''),
+        NULLIF(auth.jwt() -> 'app_metadata' ->> 'username', '')
+    );
+$$ LANGUAGE sql STABLE;
+
+-- Whether a user placed, received or was invited to a call
+-- (SECURITY DEFINER so the calls and call_participants policies can use it
+-- without recursing into each other). It only answers for calls the
+-- signed-in user is in too, so it can't be called to probe other calls.
+CREATE OR REPLACE FUNCTION is_call_member(call UUID, member TEXT)
+RETURNS BOOLEAN AS $$
+    SELECT bool_and(
+        EXISTS (
+            SELECT 1 FROM calls c
+            WHERE c.id = call AND u IN (c.caller_username, c.receiver_username)
+        ) OR EXISTS (
+            SELECT 1 FROM call_participants p
+            WHERE p.call_id = call AND p.username = u
+        )
+    )
+    FROM unnest(ARRAY[member, current_username()]) AS u;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Whether the signed-in user placed, received or was invited to a call
+CREATE OR REPLACE FUNCTION is_call_participant(call UUID)
+RETURNS BOOLEAN AS $$
+    SELECT is_call_member(call, current_username());
+$$ LANGUAGE sql STABLE;
 
 -- Enable Row Level Security (RLS)
 ALTER TABLE users ENABLE ROW LEVEL SECURITY;
 ALTER TABLE rooms ENABLE ROW LEVEL SECURITY;
 ALTER TABLE calls ENABLE ROW LEVEL SECURITY;
+ALTER TABLE call_participants ENABLE ROW LEVEL SECURITY;
 ALTER TABLE signaling ENABLE ROW LEVEL SECURITY;
 ALTER TABLE call_recordings ENABLE ROW LEVEL SECURITY;
 ALTER TABLE notifications ENABLE ROW LEVEL SECURITY;
+ALTER TABLE call_quality ENABLE ROW LEVEL SECURITY;
 
--- RLS Policies for users table
-CREATE POLICY "Users can view all users" ON users FOR SELECT USING (true);
-CREATE POLICY "Users can update their own status" ON users FOR UPDATE USING (true);
-CREATE POLICY "Users can insert themselves" ON users FOR INSERT WITH CHECK (true);
+-- RLS Policies for users table (everyone signed in can see presence)
+CREATE POLICY "Users can view all users" ON users FOR SELECT TO authenticated USING (true);
+CREATE POLICY "Users can update their own status" ON users FOR UPDATE TO authenticated
+    USING (username = current_username()) WITH CHECK (username = current_username());
+CREATE POLICY "Users can insert themselves" ON users FOR INSERT TO authenticated
+    WITH CHECK (username = current_username());
 
 -- RLS Policies for rooms table
-CREATE POLICY "Users can view their rooms" ON rooms FOR SELECT USING (true);
-CREATE POLICY "Users can create rooms" ON rooms FOR INSERT WITH CHECK (true);
-
--- RLS Policies for calls table
-CREATE POLICY "Users can view their calls" ON calls FOR SELECT USING (true);
-CREATE POLICY "Users can create calls" ON calls FOR INSERT WITH CHECK (true);
-CREATE POLICY "Users can update their calls" ON calls FOR UPDATE USING (true);
-
--- RLS Policies for signaling table
-CREATE POLICY "Users can view their signals" ON signaling FOR SELECT USING (true);
-CREATE POLICY "Users can create signals" ON signaling FOR INSERT WITH CHECK (true);
-CREATE POLICY "Users can delete old signals" ON signaling FOR DELETE USING (true);
-
--- RLS Policies for call_recordings table
-CREATE POLICY "Users can view their recordings" ON call_recordings FOR SELECT USING (true);
-CREATE POLICY "Users can create recordings" ON call_recordings FOR INSERT WITH CHECK (true);
-CREATE POLICY "Users can update recordings" ON call_recordings FOR UPDATE USING (true);
-
--- RLS Policies for notifications table
-CREATE POLICY "Users can view their notifications" ON notifications FOR SELECT USING (true);
-CREATE POLICY "Users can create notifications" ON notifications FOR INSERT WITH CHECK (true);
-CREATE POLICY "Users can update their notifications" ON notifications FOR UPDATE USING (true);
+CREATE POLICY "Users can view their rooms" ON rooms FOR SELECT TO authenticated
+    USING (current_username() IN (user1, user2));
+CREATE POLICY "Users can create rooms" ON rooms FOR INSERT TO authenticated
+    WITH CHECK (current_username() IN (user1, user2));
+
+-- RLS Policies for calls table (the column check lets the caller read back
+-- a call it just inserted, which is_call_participant cannot see yet; who the
+-- call is between is frozen by the keep_call_parties trigger)
+CREATE POLICY "Users can view their calls" ON calls FOR SELECT TO authenticated
+    USING (current_username() IN (caller_username, receiver_username) OR is_call_participant(id));
+CREATE POLICY "Users can create calls" ON calls FOR INSERT TO authenticated
+    WITH CHECK (caller_username = current_username());
+CREATE POLICY "Users can update their calls" ON calls FOR UPDATE TO authenticated
+    USING (is_call_participant(id)) WITH CHECK (is_call_participant(id));
+
+-- RLS Policies for call_participants table (members invite others in their
+-- own name or add their own row; users answer their own invitations; the
+-- inviter may only mark an unanswered one missed)
+CREATE POLICY "Users can view call participants" ON call_participants FOR SELECT TO authenticated
+    USING (is_call_participant(call_id));
+CREATE POLICY "Users can add call participants" ON call_participants FOR INSERT TO authenticated
+    WITH CHECK (is_call_participant(call_id) AND
+        (username = current_username() OR (invited_by = current_username() AND status = 'invited')));
+CREATE POLICY "Users can update their participation" ON call_participants FOR UPDATE TO authenticated
+    USING (username = current_username() OR (invited_by = current_username() AND status = 'invited'))
+    WITH CHECK (username = current_username() OR (invited_by = current_username() AND status = 'missed'));
+
+-- RLS Policies for signaling table (signals go between members of a call)
+CREATE POLICY "Users can view their signals" ON signaling FOR SELECT TO authenticated
+    USING (current_username() IN (sender_username, receiver_username));
+CREATE POLICY "Users can create signals" ON signaling FOR INSERT TO authenticated
+    WITH CHECK (sender_username = current_username() AND is_call_participant(call_id)
+        AND is_call_member(call_id, receiver_username));
+CREATE POLICY "Users can delete old signals" ON signaling FOR DELETE TO authenticated
+    USING (current_username() IN (sender_username, receiver_username));
+
+-- RLS Policies for call_recordings table (each participant owns their copy)
+CREATE POLICY "Users can view their recordings" ON call_recordings FOR SELECT TO authenticated
+    USING (recorded_by = current_username());
+CREATE POLICY "Users can create recordings" ON call_recordings FOR INSERT TO authenticated
+    WITH CHECK (recorded_by = current_username() AND is_call_participant(call_id));
+CREATE POLICY "Users can update recordings" ON call_recordings FOR UPDATE TO authenticated
+    USING (recorded_by = current_username()) WITH CHECK (recorded_by = current_username());
+CREATE POLICY "Users can delete recordings" ON call_recordings FOR DELETE TO authenticated
+    USING (recorded_by = current_username());
+
+-- RLS Policies for notifications table (missed calls are written by the
+-- caller or, if the caller is gone, by the receiver, always for someone
+-- in the call)
+CREATE POLICY "Users can view their notifications" ON notifications FOR SELECT TO authenticated
+    USING (username = current_username());
+CREATE POLICY "Users can create notifications" ON notifications FOR INSERT TO authenticated
+    WITH CHECK (is_call_participant(call_id) AND is_call_member(call_id, username));
+CREATE POLICY "Users can update their notifications" ON notifications FOR UPDATE TO authenticated
+    USING (username = current_username()) WITH CHECK (username = current_username());
+
+-- RLS Policies for call_quality table
+CREATE POLICY "Users can view call quality" ON call_quality FOR SELECT TO authenticated
+    USING (username = current_username());
+CREATE POLICY "Users can report call quality" ON call_quality FOR INSERT TO authenticated
+    WITH CHECK (username = current_username() AND is_call_participant(call_id));
 
 -- Function to automatically update updated_at timestamp
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -138,9 +265,58 @@ CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON users
 CREATE TRIGGER update_calls_updated_at BEFORE UPDATE ON calls
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_participants_updated_at BEFORE UPDATE ON call_participants
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 CREATE TRIGGER update_recordings_updated_at BEFORE UPDATE ON call_recordings
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+-- Functions to keep who a call is between, and who was invited by whom,
+-- fixed once the rows exist
+CREATE OR REPLACE FUNCTION keep_call_parties()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.caller_username IS DISTINCT FROM OLD.caller_username
+        OR NEW.receiver_username IS DISTINCT FROM OLD.receiver_username THEN
+        RAISE EXCEPTION 'The caller and receiver of a call cannot be changed' USING ERRCODE = '42501';
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION keep_participant_identity()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.call_id IS DISTINCT FROM OLD.call_id
+        OR NEW.username IS DISTINCT FROM OLD.username
+        OR NEW.invited_by IS DISTINCT FROM OLD.invited_by THEN
+        RAISE EXCEPTION 'The call, user and inviter of a participant cannot be changed' USING ERRCODE = '42501';
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER keep_calls_parties BEFORE UPDATE ON calls
+    FOR EACH ROW EXECUTE FUNCTION keep_call_parties();
+
+CREATE TRIGGER keep_participants_identity BEFORE UPDATE ON call_participants
+    FOR EACH ROW EXECUTE FUNCTION keep_participant_identity();
+
+-- Function to record when a call was first answered; clients can't set it
+CREATE OR REPLACE FUNCTION set_call_answered_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.answered_at = CASE WHEN TG_OP = 'UPDATE' THEN OLD.answered_at END;
+    IF NEW.answered_at IS NULL AND NEW.call_status IN ('accepted', 'held') THEN
+        NEW.answered_at = NOW();
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER set_calls_answered_at BEFORE INSERT OR UPDATE ON calls
+    FOR EACH ROW EXECUTE FUNCTION set_call_answered_at();
+
 -- Function to clean up old signaling data (run periodically)
 CREATE OR REPLACE FUNCTION cleanup_old_signaling()
 RETURNS void AS $$
@@ -149,16 +325,32 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
--- Function to mark users as offline if they haven't been seen in 5 minutes
+-- Function to mark users as offline once they miss four heartbeats (a
+-- crashed browser never says goodbye); last_seen keeps their last heartbeat
 CREATE OR REPLACE FUNCTION mark_inactive_users_offline()
 RETURNS void AS $$
 BEGIN
     UPDATE users 
-    SET is_online = false 
-    WHERE last_seen < NOW() - INTERVAL '5 minutes' AND is_online = true;
+    SET is_online = false, is_busy = false, status = 'offline'
+    WHERE last_seen < NOW() - INTERVAL '2 minutes' AND is_online = true;
 END;
 $$ LANGUAGE plpgsql;
 
+-- Run it every minute with pg_cron (Dashboard > Database > Extensions) where
+-- the server has it; elsewhere, call it from your own scheduler. Re-running
+-- this file keeps the existing job.
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM pg_available_extensions WHERE name = 'pg_cron') THEN
+        CREATE EXTENSION IF NOT EXISTS pg_cron;
+
+        IF NOT EXISTS (SELECT 1 FROM cron.job WHERE jobname = 'voicelink-mark-inactive-users-offline') THEN
+            PERFORM cron.schedule('voicelink-mark-inactive-users-offline', '* * * * *', 'SELECT mark_inactive_users_offline()');
+        END IF;
+    END IF;
+END;
+$$;
+
 -- Function to get or create a room between two users
 CREATE OR REPLACE FUNCTION get_or_create_room(user_a TEXT, user_b TEXT)
 RETURNS UUID AS $$
@@ -191,24 +383,81 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
+-- Function to page through a user's call history, newest first
+-- Pass the last row's start_time and id to get the next page
+-- Includes group calls the user was invited to, with everyone invited
+-- and the user's own participant status
+CREATE OR REPLACE FUNCTION get_call_history(
+    for_user TEXT,
+    with_user TEXT DEFAULT NULL,
+    before_time TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    before_id UUID DEFAULT NULL,
+    max_rows INTEGER DEFAULT 50
+)
+RETURNS TABLE (
+    id UUID,
+    caller_username TEXT,
+    receiver_username TEXT,
+    is_group BOOLEAN,
+    media_type TEXT,
+    call_status TEXT,
+    start_time TIMESTAMP WITH TIME ZONE,
+    answered_at TIMESTAMP WITH TIME ZONE,
+    end_time TIMESTAMP WITH TIME ZONE,
+    duration INTEGER,
+    participants TEXT[],
+    participant_status TEXT
+) AS $$
+    SELECT
+        c.id, c.caller_username, c.receiver_username, c.is_group, c.media_type,
+        c.call_status, c.start_time, c.answered_at, c.end_time, c.duration,
+        ARRAY(SELECT p.username FROM call_participants p WHERE p.call_id = c.id),
+        (SELECT p.status FROM call_participants p WHERE p.call_id = c.id AND p.username = for_user)
+    FROM calls c
+    WHERE (c.caller_username = for_user OR c.receiver_username = for_user
+           OR EXISTS (SELECT 1 FROM call_participants p WHERE p.call_id = c.id AND p.username = for_user))
+      AND (with_user IS NULL OR c.caller_username = with_user OR c.receiver_username = with_user
+           OR EXISTS (SELECT 1 FROM call_participants p WHERE p.call_id = c.id AND p.username = with_user))
+      AND (before_time IS NULL OR (c.start_time, c.id) < (before_time, before_id))
+    ORDER BY c.start_time DESC, c.id DESC
+    LIMIT max_rows;
+$$ LANGUAGE sql STABLE;
+
 -- Create storage bucket for call recordings (run in Supabase Dashboard > Storage)
 -- You'll need to manually create this bucket in Supabase Storage UI
 -- Bucket name: call-recordings
 -- Make it private for security
 
+-- Recording files live under recordings/<call id>/<username>/, and only that
+-- user may read or write them
+CREATE POLICY "Users manage their own recording files" ON storage.objects FOR ALL TO authenticated
+    USING (bucket_id = 'call-recordings' AND (storage.foldername(name))[3] = current_username())
+    WITH CHECK (bucket_id = 'call-recordings' AND (storage.foldername(name))[3] = current_username());
+
+-- Presence rides on private Realtime channels named presence:<username>:
+-- anyone signed in may watch one, only its user may publish on it
+CREATE POLICY "Users can watch presence" ON realtime.messages FOR SELECT TO authenticated
+    USING (realtime.messages.extension = 'presence' AND realtime.topic() LIKE 'presence:%');
+CREATE POLICY "Users publish only their own presence" ON realtime.messages FOR INSERT TO authenticated
+    WITH CHECK (realtime.messages.extension = 'presence' AND realtime.topic() = 'presence:' || current_username());
+
 -- Sample queries for testing
 
 -- Insert sample users
-INSERT INTO users (username, is_online) VALUES 
-    ('user1', true),
-    ('user2', true)
+INSERT INTO users (username, is_online, status) VALUES 
+    ('user1', true, 'online'),
+    ('user2', true, 'online')
 ON CONFLICT (username) DO NOTHING;
 
 -- Get or create a room
 SELECT get_or_create_room('user1', 'user2');
 
 -- View active calls
-SELECT * FROM calls WHERE call_status IN ('calling', 'ringing', 'accepted');
+SELECT * FROM calls WHERE call_status IN ('calling', 'ringing', 'accepted', 'held');
+
+-- View participants of a group call
+SELECT username, status, joined_at, left_at FROM call_participants
+WHERE call_id = '00000000-0000-0000-0000-000000000000';
 
 -- View call history for a user
 SELECT * FROM calls 
@@ -221,8 +470,16 @@ SELECT * FROM notifications
 WHERE username = 'user1' AND is_read = false
 ORDER BY created_at DESC;
 
+-- Users with the most poor-quality calls
+SELECT username, COUNT(*) AS calls, SUM(CASE WHEN poor_samples > samples / 4 THEN 1 ELSE 0 END) AS poor_calls,
+       ROUND(AVG(avg_rtt_ms)) AS avg_rtt_ms, ROUND(AVG(packet_loss_pct), 2) AS packet_loss_pct
+FROM call_quality
+GROUP BY username
+ORDER BY poor_calls DESC
+LIMIT 10;
+
 -- Clean up old signaling data
 SELECT cleanup_old_signaling();
 
--- Mark inactive users as offline
+-- Mark inactive users as offline (pg_cron already runs this every minute)
 SELECT mark_inactive_users_offline();
@@ -41,6 +41,9 @@ serve(async (req) => {
       case "update_call_status":
         return await handleUpdateCallStatus(supabaseClient, data);
       
+      case "get_turn_credentials":
+        return await handleGetTurnCredentials(supabaseClient);
+      
       default:
         return new Response(
           JSON.stringify({ error: "Invalid action" }),
@@ -153,3 +156,48 @@ async function handleUpdateCallStatus(supabase: any, data: any) {
     { headers: { ...corsHeaders, "Content-Type": "application/json" } }
   );
 }
+
+// Short-lived TURN credentials using the TURN REST API shared-secret scheme
+// (coturn: use-auth-secret / static-auth-secret), only for signed-in users.
+// Configure with:
+//   supabase secrets set TURN_SECRET=... TURN_URLS=turn:turn.example.com:3478,turns:turn.example.com:5349
+async function handleGetTurnCredentials(supabase: any) {
+  const { data: user } = await supabase.rpc("current_username");
+
+  if (!user) {
+    return new Response(
+      JSON.stringify({ error: "Not signed in" }),
+      { status: 401, headers: { ...corsHeaders, "Content-Type": "application/json" } }
+    );
+  }
+
+  const secret = Deno.env.get("TURN_SECRET");
+  const urls = (Deno.env.get("TURN_URLS") ?? "").split(",").map((url) => url.trim()).filter(Boolean);
+  const ttl = parseInt(Deno.env.get("TURN_TTL") ?? "3600", 10);
+
+  if (!secret || urls.length === 0) {
+    return new Response(
+      JSON.stringify({ error: "TURN is not configured" }),
+      { status: 500, headers: { ...corsHeaders, "Content-Type": "application/json" } }
+    );
+  }
+
+  // The TURN server recomputes the password from the expiry timestamp and user
+  const expiry = Math.floor(Date.now() / 1000) + ttl;
+  const username = `${expiry}:${user}`;
+
+  const key = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(secret),
+    { name: "HMAC", hash: "SHA-1" },
+    false,
+    ["sign"]
+  );
+  const signature = await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(username));
+  const credential = btoa(String.fromCharCode(...new Uint8Array(signature)));
+
+  return new Response(
+    JSON.stringify({ data: { iceServers: [{ urls, username, credential }], ttl } }),
+    { headers: { ...corsHeaders, "Content-Type": "application/json" } }
+  );
+}
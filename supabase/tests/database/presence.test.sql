@@ -0,0 +1,68 @@
+-- Presence status, the offline sweep and who may publish presence
+-- Run with: supabase test db
+
+begin;
+select plan(10);
+
+-- Fixtures, written as the table owner
+insert into users (username, is_online, is_busy, status, last_seen) values
+    ('alice', true, true, 'in-call', now() - interval '3 minutes'),
+    ('bob', true, false, 'away', now() - interval '30 seconds');
+insert into users (username) values ('carol');
+
+-- Status
+select throws_ok(
+    $$ insert into users (username, status) values ('dave', 'sleeping') $$,
+    '23514', null, 'status is one of the presence states'
+);
+select is((select status from users where username = 'carol'), 'offline', 'new users start offline');
+
+-- Offline sweep
+-- The schema only schedules the sweep where pg_cron is installed; the query
+-- is a string so cron.job isn't looked up when it doesn't exist
+select case when exists (select 1 from pg_extension where extname = 'pg_cron')
+    then results_eq(
+        $$ select schedule from cron.job where jobname = 'voicelink-mark-inactive-users-offline' $$,
+        $$ values ('* * * * *'::text) $$,
+        'the sweep is scheduled every minute'
+    )
+    else skip('pg_cron is not installed')
+end;
+select lives_ok($$ select mark_inactive_users_offline() $$, 'the sweep runs');
+select results_eq(
+    $$ select status, is_online, is_busy from users where username = 'alice' $$,
+    $$ values ('offline'::text, false, false) $$,
+    'a user who missed their heartbeats goes offline'
+);
+select ok(
+    (select last_seen < now() - interval '2 minutes' from users where username = 'alice'),
+    'last_seen keeps their last heartbeat'
+);
+select results_eq(
+    $$ select status, is_online from users where username = 'bob' $$,
+    $$ values ('away'::text, true) $$,
+    'a user with a recent heartbeat keeps their status'
+);
+
+-- Presence channels
+set local role authenticated;
+select set_config('request.jwt.claims', '{"role": "authenticated", "username": "alice"}', true);
+
+select set_config('realtime.topic', 'presence:alice', true);
+select lives_ok(
+    $$ insert into realtime.messages (topic, extension) values ('presence:alice', 'presence') $$,
+    'users publish their own presence'
+);
+select isnt_empty(
+    $$ select 1 from realtime.messages where topic = 'presence:alice' $$,
+    'signed-in users can watch presence'
+);
+
+select set_config('realtime.topic', 'presence:bob', true);
+select throws_ok(
+    $$ insert into realtime.messages (topic, extension) values ('presence:bob', 'presence') $$,
+    '42501', null, 'nobody publishes presence for someone else'
+);
+
+select * from finish();
+rollback;
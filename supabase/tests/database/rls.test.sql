@@ -0,0 +1,247 @@
+-- Row level security for VoiceLink tables
+-- Run with: supabase test db
+
+begin;
+select plan(44);
+
+-- Fixtures, written as the table owner
+insert into users (username) values ('alice'), ('bob'), ('carol'), ('dave');
+
+insert into calls (id, caller_username, receiver_username, call_status) values
+    ('00000000-0000-0000-0000-0000000000c1', 'alice', 'bob', 'accepted');
+insert into calls (id, caller_username, is_group, call_status) values
+    ('00000000-0000-0000-0000-0000000000c2', 'alice', true, 'accepted');
+insert into call_participants (call_id, username, invited_by) values
+    ('00000000-0000-0000-0000-0000000000c2', 'bob', 'alice'),
+    ('00000000-0000-0000-0000-0000000000c2', 'carol', 'alice');
+
+insert into signaling (call_id, sender_username, receiver_username, signal_type, signal_data) values
+    ('00000000-0000-0000-0000-0000000000c1', 'alice', 'bob', 'offer', '{"sdp": "v=0"}');
+
+insert into call_recordings (call_id, recorded_by, participants, storage_path) values
+    ('00000000-0000-0000-0000-0000000000c1', 'alice', '{alice,bob}', 'recordings/c1/alice/manifest.json'),
+    ('00000000-0000-0000-0000-0000000000c1', 'bob', '{alice,bob}', 'recordings/c1/bob/manifest.json');
+
+-- Identity
+set local role authenticated;
+
+select set_config('request.jwt.claims', '{"role": "authenticated", "username": "alice"}', true);
+select is(current_username(), 'alice', 'username claim of a host-app JWT is the identity');
+
+select set_config('request.jwt.claims', '{"role": "authenticated", "app_metadata": {"username": "dave"}}', true);
+select is(current_username(), 'dave', 'app_metadata.username of a Supabase Auth session is the identity');
+
+select set_config('request.jwt.claims', '{"role": "authenticated", "user_metadata": {"username": "alice"}}', true);
+select is(current_username(), null, 'user_metadata, which users can edit, is not trusted');
+
+-- Carol: outside the direct call, invited to the group call
+select set_config('request.jwt.claims', '{"role": "authenticated", "username": "carol"}', true);
+
+select is_empty(
+    $$ select id from calls where id = '00000000-0000-0000-0000-0000000000c1' $$,
+    'others cannot see a direct call'
+);
+select isnt_empty(
+    $$ select id from calls where id = '00000000-0000-0000-0000-0000000000c2' $$,
+    'group call invitees can see the call'
+);
+select is_empty(
+    $$ update calls set call_status = 'ended' where id = '00000000-0000-0000-0000-0000000000c1' returning id $$,
+    'others cannot update a call'
+);
+select throws_ok(
+    $$ insert into calls (caller_username, receiver_username, call_status) values ('alice', 'carol', 'calling') $$,
+    '42501', null,
+    'calls cannot be placed in someone else''s name'
+);
+select lives_ok(
+    $$ insert into calls (caller_username, receiver_username, call_status) values ('carol', 'dave', 'calling') returning id $$,
+    'callers can place a call and read it back'
+);
+select is_empty(
+    $$ select id from signaling where call_id = '00000000-0000-0000-0000-0000000000c1' $$,
+    'others cannot read a call''s signaling'
+);
+select throws_ok(
+    $$ insert into signaling (call_id, sender_username, receiver_username, signal_type, signal_data)
+       values ('00000000-0000-0000-0000-0000000000c1', 'carol', 'bob', 'offer', '{}') $$,
+    '42501', null,
+    'others cannot signal into a call'
+);
+select throws_ok(
+    $$ insert into signaling (call_id, sender_username, receiver_username, signal_type, signal_data)
+       values ('00000000-0000-0000-0000-0000000000c2', 'alice', 'bob', 'offer', '{}') $$,
+    '42501', null,
+    'signals cannot be sent in someone else''s name'
+);
+select lives_ok(
+    $$ insert into signaling (call_id, sender_username, receiver_username, signal_type, signal_data)
+       values ('00000000-0000-0000-0000-0000000000c2', 'carol', 'alice', 'offer', '{}') $$,
+    'participants can signal into their call'
+);
+select throws_ok(
+    $$ insert into signaling (call_id, sender_username, receiver_username, signal_type, signal_data)
+       values ('00000000-0000-0000-0000-0000000000c2', 'carol', 'dave', 'offer', '{}') $$,
+    '42501', null,
+    'signals only go to members of the call'
+);
+select is(
+    is_call_member('00000000-0000-0000-0000-0000000000c1', 'alice'), false,
+    'others cannot probe who is in a call'
+);
+select is(
+    is_call_member('00000000-0000-0000-0000-0000000000c2', 'bob'), true,
+    'participants can check who is in their call'
+);
+select is_empty(
+    $$ update users set is_busy = true where username = 'bob' returning username $$,
+    'users cannot change someone else''s status'
+);
+select isnt_empty(
+    $$ update users set is_busy = true where username = 'carol' returning username $$,
+    'users can change their own status'
+);
+select throws_ok(
+    $$ insert into users (username) values ('mallory') $$,
+    '42501', null,
+    'users can only register under their own identity'
+);
+select is_empty(
+    $$ select id from call_recordings $$,
+    'others cannot see recordings'
+);
+select throws_ok(
+    $$ insert into call_recordings (call_id, recorded_by, storage_path)
+       values ('00000000-0000-0000-0000-0000000000c1', 'carol', 'recordings/c1/carol/manifest.json') $$,
+    '42501', null,
+    'others cannot add a recording to a call'
+);
+select throws_ok(
+    $$ insert into notifications (username, notification_type, call_id, from_username)
+       values ('bob', 'missed_call', '00000000-0000-0000-0000-0000000000c1', 'carol') $$,
+    '42501', null,
+    'others cannot leave notifications on a call'
+);
+select throws_ok(
+    $$ insert into notifications (username, notification_type, call_id, from_username)
+       values ('dave', 'missed_call', '00000000-0000-0000-0000-0000000000c2', 'carol') $$,
+    '42501', null,
+    'notifications only go to members of the call'
+);
+select lives_ok(
+    $$ insert into notifications (username, notification_type, call_id, from_username)
+       values ('bob', 'missed_call', '00000000-0000-0000-0000-0000000000c2', 'carol') $$,
+    'participants can notify another member of their call'
+);
+select is_empty(
+    $$ update call_participants set status = 'declined' where username = 'bob' returning id $$,
+    'participants cannot answer someone else''s invitation'
+);
+select isnt_empty(
+    $$ update call_participants set status = 'joined' where username = 'carol' returning id $$,
+    'participants can answer their own invitation'
+);
+select lives_ok(
+    $$ insert into call_participants (call_id, username, invited_by, status)
+       values ('00000000-0000-0000-0000-0000000000c2', 'erin', 'carol', 'invited') $$,
+    'participants can invite others into their call'
+);
+select throws_ok(
+    $$ insert into call_participants (call_id, username, invited_by, status)
+       values ('00000000-0000-0000-0000-0000000000c2', 'frank', 'bob', 'invited') $$,
+    '42501', null,
+    'invitations cannot be made in someone else''s name'
+);
+select throws_ok(
+    $$ insert into call_participants (call_id, username, invited_by, status)
+       values ('00000000-0000-0000-0000-0000000000c2', 'frank', 'carol', 'joined') $$,
+    '42501', null,
+    'invitees cannot be added as already joined'
+);
+select throws_ok(
+    $$ insert into call_participants (call_id, username, invited_by, status)
+       values ('00000000-0000-0000-0000-0000000000c1', 'carol', 'carol', 'joined') $$,
+    '42501', null,
+    'others cannot add themselves to a call'
+);
+
+-- Bob: receiver of the direct call
+select set_config('request.jwt.claims', '{"role": "authenticated", "username": "bob"}', true);
+
+select results_eq(
+    $$ select call_status from calls where id = '00000000-0000-0000-0000-0000000000c1' $$,
+    $$ values ('accepted') $$,
+    'the receiver can see the call'
+);
+select results_eq(
+    $$ select count(*)::int from signaling where call_id = '00000000-0000-0000-0000-0000000000c1' $$,
+    $$ values (1) $$,
+    'the receiver can read signals addressed to them'
+);
+select throws_ok(
+    $$ update calls set receiver_username = 'dave' where id = '00000000-0000-0000-0000-0000000000c1' $$,
+    '42501', null,
+    'a call cannot be handed to someone else'
+);
+select throws_ok(
+    $$ update calls set caller_username = 'bob' where id = '00000000-0000-0000-0000-0000000000c1' $$,
+    '42501', null,
+    'the caller of a call cannot be changed'
+);
+select isnt_empty(
+    $$ update calls set call_status = 'ended' where id = '00000000-0000-0000-0000-0000000000c1' returning id $$,
+    'participants can update their call'
+);
+select results_eq(
+    $$ select recorded_by from call_recordings $$,
+    $$ values ('bob') $$,
+    'participants only see their own copy of a recording'
+);
+select is_empty(
+    $$ delete from call_recordings where recorded_by = 'alice' returning id $$,
+    'participants cannot delete someone else''s recording'
+);
+select throws_ok(
+    $$ insert into call_recordings (call_id, recorded_by, storage_path)
+       values ('00000000-0000-0000-0000-0000000000c1', 'alice', 'recordings/c1/alice/manifest.json') $$,
+    '42501', null,
+    'recordings cannot be created in someone else''s name'
+);
+select lives_ok(
+    $$ insert into call_recordings (call_id, recorded_by, storage_path)
+       values ('00000000-0000-0000-0000-0000000000c2', 'bob', 'recordings/c2/bob/manifest.json') $$,
+    'participants can record their call'
+);
+
+-- Alice: invited bob and carol to the group call
+select set_config('request.jwt.claims', '{"role": "authenticated", "username": "alice"}', true);
+
+select throws_ok(
+    $$ update call_participants set status = 'joined' where username = 'bob' $$,
+    '42501', null,
+    'the inviter cannot answer for an invitee'
+);
+select throws_ok(
+    $$ update call_participants set username = 'dave', status = 'missed' where username = 'bob' $$,
+    '42501', null,
+    'an invitation cannot be handed to someone else'
+);
+select isnt_empty(
+    $$ update call_participants set status = 'missed' where username = 'bob' returning id $$,
+    'the inviter can expire an unanswered invitation'
+);
+select is_empty(
+    $$ update call_participants set status = 'missed' where username = 'carol' returning id $$,
+    'the inviter cannot change an answered invitation'
+);
+
+-- Signed out
+reset role;
+set local role anon;
+select set_config('request.jwt.claims', '{"role": "anon"}', true);
+
+select is_empty($$ select id from users $$, 'the anon key alone cannot read users');
+select is_empty($$ select id from calls $$, 'the anon key alone cannot read calls');
+
+select * from finish();
+rollback;
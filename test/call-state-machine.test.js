@@ -0,0 +1,107 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { CallStateMachine } = require('../voicelink-integration.js');
+
+const LEGAL = {
+    idle: ['calling', 'ringing'],
+    calling: ['ringing', 'connecting', 'connected', 'ended'],
+    ringing: ['connecting', 'connected', 'ended'],
+    connecting: ['connected', 'ended'],
+    connected: ['held', 'ended'],
+    held: ['connected', 'ended'],
+    ended: ['idle']
+};
+
+const STATES = Object.keys(LEGAL);
+
+test('starts idle and rejects unknown states', () => {
+    assert.strictEqual(new CallStateMachine().state, 'idle');
+    assert.deepStrictEqual([...CallStateMachine.STATES].sort(), [...STATES].sort());
+    assert.throws(() => new CallStateMachine('dialing'), /Unknown call state "dialing"/);
+});
+
+test('legal transitions move the state and return the previous one', () => {
+    for (const from of STATES) {
+        for (const to of LEGAL[from]) {
+            const machine = new CallStateMachine(from);
+            assert.strictEqual(machine.can(to), true, `${from} -> ${to}`);
+            assert.strictEqual(machine.transition(to), from);
+            assert.strictEqual(machine.state, to);
+        }
+    }
+});
+
+test('illegal transitions throw and leave the state alone', () => {
+    for (const from of STATES) {
+        for (const to of STATES.filter(state => !LEGAL[from].includes(state))) {
+            const machine = new CallStateMachine(from);
+            assert.strictEqual(machine.can(to), false, `${from} -> ${to}`);
+            assert.throws(() => machine.transition(to), /Illegal call state transition/, `${from} -> ${to}`);
+            assert.strictEqual(machine.state, from);
+        }
+    }
+
+    // Accepting while idle
+    assert.throws(() => new CallStateMachine().transition('connecting'), /idle -> connecting/);
+});
+
+test('the end reason lasts only while ended', () => {
+    const machine = new CallStateMachine('connected');
+    machine.transition('ended', 'declined');
+    assert.strictEqual(machine.endReason, 'declined');
+    machine.transition('idle');
+    assert.strictEqual(machine.endReason, null);
+});
+
+test('every state maps to a DB status', () => {
+    const expected = {
+        idle: null,
+        calling: 'calling',
+        ringing: 'ringing',
+        connecting: 'accepted',
+        connected: 'accepted',
+        held: 'held',
+        ended: 'ended'
+    };
+    for (const state of STATES) {
+        assert.strictEqual(CallStateMachine.toDbStatus(state), expected[state], state);
+    }
+
+    for (const reason of ['declined', 'busy', 'missed']) {
+        assert.strictEqual(CallStateMachine.toDbStatus('ended', reason), reason);
+    }
+    for (const reason of ['hangup', 'remote', 'failed']) {
+        assert.strictEqual(CallStateMachine.toDbStatus('ended', reason), 'ended');
+    }
+
+    const machine = new CallStateMachine('ringing');
+    machine.transition('ended', 'busy');
+    assert.strictEqual(machine.toDbStatus(), 'busy');
+    assert.throws(() => CallStateMachine.toDbStatus('dialing'), /Unknown call state/);
+});
+
+test('every DB status maps to a state', () => {
+    const expected = {
+        calling: { state: 'calling', reason: null },
+        ringing: { state: 'ringing', reason: null },
+        accepted: { state: 'connecting', reason: null },
+        held: { state: 'held', reason: null },
+        ended: { state: 'ended', reason: 'hangup' },
+        declined: { state: 'ended', reason: 'declined' },
+        busy: { state: 'ended', reason: 'busy' },
+        missed: { state: 'ended', reason: 'missed' }
+    };
+    for (const [status, result] of Object.entries(expected)) {
+        assert.deepStrictEqual(CallStateMachine.fromDbStatus(status), result, status);
+    }
+    assert.throws(() => CallStateMachine.fromDbStatus('paused'), /Unknown call status "paused"/);
+});
+
+test('DB statuses survive a round trip through the state', () => {
+    for (const status of ['calling', 'ringing', 'accepted', 'held', 'ended', 'declined', 'busy', 'missed']) {
+        const { state, reason } = CallStateMachine.fromDbStatus(status);
+        assert.strictEqual(CallStateMachine.toDbStatus(state, reason), status, status);
+    }
+});
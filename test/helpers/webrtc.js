@@ -0,0 +1,254 @@
+/**
+ * Just enough WebRTC for VoiceLink to run in Node: peer connections that
+ * "connect" to each other in-process once an offer and answer have been
+ * exchanged, and a microphone that hands out fake tracks.
+ */
+
+'use strict';
+
+let nextId = 0;
+const connections = new Map();
+
+class FakeTrack {
+    constructor(kind) {
+        this.id = `track-${++nextId}`;
+        this.kind = kind;
+        this.label = `Fake ${kind}`;
+        this.enabled = true;
+        this.readyState = 'live';
+    }
+
+    stop() {
+        this.readyState = 'ended';
+    }
+
+    getSettings() {
+        return { deviceId: 'default' };
+    }
+
+    addEventListener() {}
+    removeEventListener() {}
+}
+
+class FakeMediaStream {
+    constructor(tracks = []) {
+        this.id = `stream-${++nextId}`;
+        this.tracks = [...tracks];
+    }
+
+    getTracks() { return this.tracks; }
+    getAudioTracks() { return this.tracks.filter(track => track.kind === 'audio'); }
+    getVideoTracks() { return this.tracks.filter(track => track.kind === 'video'); }
+    addTrack(track) { this.tracks.push(track); }
+    removeTrack(track) { this.tracks = this.tracks.filter(t => t !== track); }
+}
+
+class FakeSender {
+    constructor(track) {
+        this.track = track;
+    }
+
+    async replaceTrack(track) {
+        this.track = track;
+    }
+
+    getParameters() { return { encodings: [{}] }; }
+    async setParameters() {}
+}
+
+/**
+ * The session description carries the connection id, so the answering
+ * side knows which connection to pair with
+ */
+class FakePeerConnection {
+    constructor(config) {
+        this.id = ++nextId;
+        this.config = config;
+        this.senders = [];
+        this.listeners = {};
+        this.signalingState = 'stable';
+        this.connectionState = 'new';
+        this.iceConnectionState = 'new';
+        this.localDescription = null;
+        this.remoteDescription = null;
+        this.remoteId = null;
+        this.closed = false;
+        this.negotiationQueued = false;
+        connections.set(this.id, this);
+    }
+
+    addEventListener(event, handler) {
+        (this.listeners[event] = this.listeners[event] || []).push(handler);
+    }
+
+    removeEventListener(event, handler) {
+        this.listeners[event] = (this.listeners[event] || []).filter(h => h !== handler);
+    }
+
+    fire(event, payload = {}) {
+        if (this[`on${event}`]) this[`on${event}`](payload);
+        (this.listeners[event] || []).forEach(handler => handler(payload));
+    }
+
+    addTrack(track) {
+        const sender = new FakeSender(track);
+        this.senders.push(sender);
+        this.queueNegotiation();
+        return sender;
+    }
+
+    addTransceiver(kind) {
+        const sender = new FakeSender(null);
+        this.senders.push(sender);
+        this.queueNegotiation();
+        return { sender, receiver: { track: new FakeTrack(typeof kind === 'string' ? kind : kind.kind) }, direction: 'sendrecv' };
+    }
+
+    removeTrack(sender) {
+        sender.track = null;
+        this.queueNegotiation();
+    }
+
+    getSenders() { return this.senders; }
+    getReceivers() { return []; }
+    getTransceivers() { return []; }
+
+    queueNegotiation() {
+        if (this.negotiationQueued) return;
+        this.negotiationQueued = true;
+        setTimeout(() => {
+            this.negotiationQueued = false;
+            if (!this.closed && this.signalingState === 'stable') this.fire('negotiationneeded');
+        }, 0);
+    }
+
+    describe(type) {
+        const kinds = this.senders.filter(sender => sender.track).map(sender => sender.track.kind);
+        return { type, sdp: `${this.id}:${kinds.join(',')}` };
+    }
+
+    async createOffer() { return this.describe('offer'); }
+    async createAnswer() { return this.describe('answer'); }
+
+    async setLocalDescription(description) {
+        if (this.closed) throw new Error('InvalidStateError: closed');
+        if (!description) {
+            description = this.signalingState === 'have-remote-offer' ? this.describe('answer') : this.describe('offer');
+        }
+        if (description.type === 'rollback') {
+            this.signalingState = 'stable';
+            return;
+        }
+
+        this.localDescription = description;
+        this.signalingState = description.type === 'offer' ? 'have-local-offer' : 'stable';
+        setTimeout(() => {
+            if (this.closed) return;
+            this.fire('icecandidate', { candidate: { candidate: 'candidate:1 1 udp 1 192.0.2.1 5000 typ host', sdpMid: '0', sdpMLineIndex: 0 } });
+            this.fire('icecandidate', { candidate: null });
+        }, 0);
+        if (description.type === 'answer') this.connect();
+    }
+
+    async setRemoteDescription(description) {
+        if (this.closed) throw new Error('InvalidStateError: closed');
+        if (description.type === 'rollback') {
+            this.signalingState = 'stable';
+            return;
+        }
+        if (description.type === 'offer' && this.signalingState === 'have-local-offer') {
+            throw new Error('InvalidStateError: have-local-offer');
+        }
+
+        const [remoteId, kinds] = description.sdp.split(':');
+        this.remoteDescription = description;
+        this.remoteId = Number(remoteId);
+        this.signalingState = description.type === 'offer' ? 'have-remote-offer' : 'stable';
+
+        if (!this.receiving) {
+            this.receiving = true;
+            const tracks = kinds.split(',').filter(Boolean).map(kind => new FakeTrack(kind));
+            setTimeout(() => tracks.forEach(track => this.fire('track', { track, streams: [new FakeMediaStream([track])] })), 0);
+        }
+        if (description.type === 'answer') this.connect();
+    }
+
+    /**
+     * Both ends go to connected once the answer is in place
+     */
+    connect() {
+        const remote = connections.get(this.remoteId);
+        if (!remote || remote.closed) return;
+
+        setTimeout(() => {
+            [this, remote].forEach(pc => {
+                if (pc.closed || pc.connectionState === 'connected') return;
+                pc.connectionState = 'connected';
+                pc.iceConnectionState = 'connected';
+                pc.fire('iceconnectionstatechange');
+                pc.fire('connectionstatechange');
+            });
+        }, 0);
+    }
+
+    async addIceCandidate() {
+        if (!this.remoteDescription) throw new Error('InvalidStateError: no remote description');
+    }
+
+    restartIce() {
+        this.queueNegotiation();
+    }
+
+    async getStats() {
+        return new Map();
+    }
+
+    close() {
+        this.closed = true;
+        this.connectionState = 'closed';
+        this.signalingState = 'closed';
+        connections.delete(this.id);
+    }
+}
+
+globalThis.RTCPeerConnection = FakePeerConnection;
+globalThis.RTCSessionDescription = function(description) { return description; };
+globalThis.RTCIceCandidate = function(candidate) { return candidate; };
+globalThis.MediaStream = FakeMediaStream;
+Object.defineProperty(globalThis, 'navigator', {
+    configurable: true,
+    writable: true,
+    value: {
+        mediaDevices: {
+            async getUserMedia(constraints) {
+                const tracks = [];
+                if (constraints.audio) tracks.push(new FakeTrack('audio'));
+                if (constraints.video) tracks.push(new FakeTrack('video'));
+                return new FakeMediaStream(tracks);
+            },
+            async enumerateDevices() {
+                return [
+                    { kind: 'audioinput', deviceId: 'default', label: 'Fake microphone' },
+                    { kind: 'audiooutput', deviceId: 'default', label: 'Fake speaker' }
+                ];
+            },
+            addEventListener() {},
+            removeEventListener() {}
+        }
+    }
+});
+
+/**
+ * Resolve once a condition holds, polling between timer ticks
+ * @param {Function} condition - Returns truthy when done
+ * @param {number} timeout - Milliseconds before giving up
+ */
+async function waitFor(condition, timeout = 2000) {
+    const deadline = Date.now() + timeout;
+    while (!condition()) {
+        if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+module.exports = { FakePeerConnection, FakeMediaStream, FakeTrack, waitFor };
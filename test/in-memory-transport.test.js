@@ -0,0 +1,119 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { waitFor } = require('./helpers/webrtc');
+const VoiceLink = require('../voicelink-integration.js');
+
+const { InMemoryHub, InMemoryTransport } = VoiceLink.transports;
+
+/**
+ * Two headless clients on one hub, recording and stats sampling off
+ */
+async function setup() {
+    const hub = new InMemoryHub();
+    const client = async (username) => {
+        const voiceLink = new VoiceLink.Client();
+        await voiceLink.init({
+            currentUser: username,
+            transport: new InMemoryTransport(hub),
+            headless: true,
+            recording: 'off',
+            statsInterval: 0
+        });
+        return voiceLink;
+    };
+
+    return { hub, alice: await client('alice'), bob: await client('bob') };
+}
+
+/**
+ * Collect one client's events by name
+ */
+function record(voiceLink, ...events) {
+    const seen = [];
+    events.forEach(event => voiceLink.on(event, payload => seen.push({ event, ...payload })));
+    return seen;
+}
+
+test('in-memory transport', async (t) => {
+    const { hub, alice, bob } = await setup();
+    t.after(async () => {
+        await alice.destroy();
+        await bob.destroy();
+    });
+
+    await t.test('call, accept and hang up', async () => {
+        const aliceEvents = record(alice, 'connected', 'ended');
+        const bobEvents = record(bob, 'incoming', 'connected', 'ended');
+
+        await alice.call('bob');
+        await waitFor(() => bob.callStatus === 'ringing');
+        assert.deepStrictEqual(
+            bobEvents.map(e => [e.event, e.from]),
+            [['incoming', 'alice']]
+        );
+
+        await bob.accept();
+        await waitFor(() => alice.callStatus === 'connected' && bob.callStatus === 'connected');
+        assert.strictEqual(alice.getState().remoteUser, 'bob');
+        assert.strictEqual(hub.calls.get(alice.getState().callId).call_status, 'accepted');
+
+        const callId = alice.getState().callId;
+        await alice.hangup();
+        await waitFor(() => alice.callStatus === 'idle' && bob.callStatus === 'idle');
+
+        const row = hub.calls.get(callId);
+        assert.strictEqual(row.call_status, 'ended');
+        assert.ok(row.answered_at);
+        assert.deepStrictEqual(aliceEvents.map(e => e.event), ['connected', 'ended']);
+        assert.deepStrictEqual(bobEvents.map(e => e.event), ['incoming', 'connected', 'ended']);
+        assert.strictEqual(aliceEvents[1].reason, 'hangup');
+        assert.strictEqual(bobEvents[2].reason, 'remote');
+    });
+
+    await t.test('decline', async () => {
+        const aliceEvents = record(alice, 'ended');
+
+        await alice.call('bob');
+        await waitFor(() => bob.callStatus === 'ringing');
+        const callId = alice.getState().callId;
+
+        await bob.decline();
+        await waitFor(() => alice.callStatus === 'idle' && bob.callStatus === 'idle');
+
+        assert.strictEqual(hub.calls.get(callId).call_status, 'declined');
+        assert.strictEqual(hub.calls.get(callId).answered_at, null);
+        assert.deepStrictEqual(aliceEvents.map(e => e.reason), ['declined']);
+    });
+
+    await t.test('signals for ended calls are dropped', async () => {
+        const [endedCallId] = hub.calls.keys();
+        const transport = new InMemoryTransport(hub);
+        await transport.sendSignal({
+            call_id: endedCallId,
+            sender_username: 'alice',
+            receiver_username: 'bob',
+            signal_type: 'ice-candidate',
+            signal_data: { candidate: 'candidate:1 1 udp 1 192.0.2.1 5000 typ host' }
+        });
+        await new Promise(resolve => setTimeout(resolve, 20));
+
+        assert.strictEqual(bob.pendingSignals.size, 0);
+    });
+
+    await t.test('history', async () => {
+        const outgoing = await alice.getCallHistory();
+        assert.deepStrictEqual(
+            outgoing.calls.map(entry => [entry.direction, entry.outcome, entry.with]),
+            [['outgoing', 'declined', ['bob']], ['outgoing', 'completed', ['bob']]]
+        );
+        assert.strictEqual(outgoing.cursor, null);
+
+        const incoming = await bob.getCallHistory({ withUser: 'alice', limit: 1 });
+        assert.deepStrictEqual(incoming.calls.map(entry => [entry.direction, entry.outcome]), [['incoming', 'declined']]);
+
+        const older = await bob.getCallHistory({ withUser: 'alice', limit: 1, cursor: incoming.cursor });
+        assert.deepStrictEqual(older.calls.map(entry => [entry.direction, entry.outcome]), [['incoming', 'completed']]);
+    });
+});
@@ -7,147 +7,5901 @@
 (function(window) {
     'use strict';
 
-    class VoiceLink {
+    const hasDOM = typeof document !== 'undefined';
+
+    // Choosing the speaker needs HTMLMediaElement.setSinkId (not in every browser)
+    const canSetSinkId = hasDOM && typeof HTMLMediaElement !== 'undefined' && 'setSinkId' in HTMLMediaElement.prototype;
+
+    /**
+     * Base class for signaling transports.
+     *
+     * A transport owns every round trip VoiceLink makes to its backend:
+     * user status, rooms, call rows, signaling messages and recordings.
+     * Rows use the same shape as the tables in database-schema.sql, so an
+     * adapter only has to move them around, not reinterpret them.
+     *
+     * Subscription methods return a function that removes the subscription.
+     */
+    class SignalingTransport {
+        /**
+         * Open the connection for the given user
+         * @param {string} username - Current user's username
+         */
+        async connect(username) {
+            this.username = username;
+        }
+
+        /**
+         * Username the backend knows the signed-in user by, or null when the
+         * transport has no sessions and the configured currentUser is used
+         */
+        async getSessionUsername() {
+            return null;
+        }
+
+        /**
+         * Close the connection and drop all subscriptions
+         */
+        async close() {}
+
+        async upsertUser(user) { throw this.notSupported('upsertUser'); }
+        async updateUser(username, fields) { throw this.notSupported('updateUser'); }
+        async getUser(username) { throw this.notSupported('getUser'); }
+        async getOrCreateRoom(userA, userB) { throw this.notSupported('getOrCreateRoom'); }
+        async createCall(call) { throw this.notSupported('createCall'); }
+        async updateCall(callId, fields) { throw this.notSupported('updateCall'); }
+        async getCallHistory(username, options) { throw this.notSupported('getCallHistory'); }
+        async sendSignal(signal) { throw this.notSupported('sendSignal'); }
+        async getSignals(callId, receiverUsername) { throw this.notSupported('getSignals'); }
+        async deleteSignals(callId) { throw this.notSupported('deleteSignals'); }
+        async addParticipants(participants) { throw this.notSupported('addParticipants'); }
+        async updateParticipant(callId, username, fields) { throw this.notSupported('updateParticipant'); }
+        async getParticipants(callId) { throw this.notSupported('getParticipants'); }
+        async createRecording(recording) { throw this.notSupported('createRecording'); }
+        async updateRecording(callId, fields, username) { throw this.notSupported('updateRecording'); }
+        async listRecordings(username, options) { throw this.notSupported('listRecordings'); }
+        async deleteRecording(callId, username) { throw this.notSupported('deleteRecording'); }
+        async uploadRecording(path, blob, contentType) { throw this.notSupported('uploadRecording'); }
+        async getRecordingUrl(path, expiresIn) { throw this.notSupported('getRecordingUrl'); }
+        async listRecordingFiles(folder) { throw this.notSupported('listRecordingFiles'); }
+        async deleteRecordingFiles(paths) { throw this.notSupported('deleteRecordingFiles'); }
+        async getTurnCredentials(username) { throw this.notSupported('getTurnCredentials'); }
+        async createCallQuality(reports) { throw this.notSupported('createCallQuality'); }
+        async createNotification(notification) { throw this.notSupported('createNotification'); }
+        async getNotifications(username, options) { throw this.notSupported('getNotifications'); }
+        async markNotificationsRead(username, ids) { throw this.notSupported('markNotificationsRead'); }
+
+        /**
+         * Publish this tab on a user's presence channel, replacing what it
+         * published before; the backend withdraws it when the connection drops
+         * @param {string} username - Current user's username
+         * @param {Object} state - { status, tab }
+         */
+        async trackPresence(username, state) { throw this.notSupported('trackPresence'); }
+
+        /**
+         * Withdraw this tab from a user's presence channel
+         * @param {string} username - Current user's username
+         */
+        async untrackPresence(username) { throw this.notSupported('untrackPresence'); }
+
+        /**
+         * Subscribe to call rows addressed to a user
+         * @param {string} username - Receiver to watch
+         * @param {Object} handlers - { onInsert(call), onUpdate(call) }
+         * @returns {Function} Unsubscribe function
+         */
+        subscribeCalls(username, handlers) { throw this.notSupported('subscribeCalls'); }
+
+        /**
+         * Subscribe to signaling messages addressed to a user
+         * @param {string} username - Receiver to watch
+         * @param {Function} onSignal - Called with each signaling row
+         * @returns {Function} Unsubscribe function
+         */
+        subscribeSignals(username, onSignal) { throw this.notSupported('subscribeSignals'); }
+
+        /**
+         * Subscribe to changes of a user's row (status and last_seen)
+         * @param {string} username - User to watch
+         * @param {Function} onChange - Called with the updated user row
+         * @returns {Function} Unsubscribe function
+         */
+        subscribePresence(username, onChange) { throw this.notSupported('subscribePresence'); }
+
+        /**
+         * Subscribe to a user's presence channel
+         * @param {string} username - User to watch
+         * @param {Function} onSync - Called with the { status, tab } of every connected tab, first
+         *   with what is there on joining and then on each change
+         * @returns {Function} Unsubscribe function
+         */
+        subscribePresenceState(username, onSync) { throw this.notSupported('subscribePresenceState'); }
+
+        /**
+         * Subscribe to group call invitations for a user
+         * @param {string} username - Invitee to watch
+         * @param {Function} onInvite - Called with each new call_participants row
+         * @returns {Function} Unsubscribe function
+         */
+        subscribeInvitations(username, onInvite) { throw this.notSupported('subscribeInvitations'); }
+
+        /**
+         * Subscribe to participant changes of one call
+         * @param {string} callId - Call to watch
+         * @param {Function} onChange - Called with each inserted or updated call_participants row
+         * @returns {Function} Unsubscribe function
+         */
+        subscribeParticipants(callId, onChange) { throw this.notSupported('subscribeParticipants'); }
+
+        notSupported(method) {
+            return new Error(`VoiceLink: ${this.constructor.name} does not support ${method}`);
+        }
+    }
+
+    /**
+     * Transport backed by Supabase tables, Realtime and Storage
+     */
+    class SupabaseTransport extends SignalingTransport {
+        /**
+         * @param {Object} client - Supabase client from supabase.createClient
+         */
+        constructor(client) {
+            super();
+            this.client = client;
+            this.channels = [];
+            this.presenceChannels = new Map();
+        }
+
+        async close() {
+            for (const channel of this.channels) {
+                await this.client.removeChannel(channel);
+            }
+            for (const entry of this.presenceChannels.values()) {
+                await this.client.removeChannel(entry.channel);
+            }
+            this.channels = [];
+            this.presenceChannels.clear();
+        }
+
+        async getSessionUsername() {
+            const { data, error } = await this.client.rpc('current_username');
+
+            if (error) throw error;
+            if (!data) {
+                throw new Error('VoiceLink: Not signed in; sign in with Supabase Auth or pass accessToken');
+            }
+            return data;
+        }
+
+        async upsertUser(user) {
+            const { error } = await this.client
+                .from('users')
+                .upsert(user, { onConflict: 'username' });
+
+            if (error) throw error;
+        }
+
+        async updateUser(username, fields) {
+            const { error } = await this.client
+                .from('users')
+                .update(fields)
+                .eq('username', username);
+
+            if (error) throw error;
+        }
+
+        async getUser(username) {
+            const { data, error } = await this.client
+                .from('users')
+                .select('is_online, is_busy, status, last_seen')
+                .eq('username', username)
+                .single();
+
+            if (error) throw error;
+            return data;
+        }
+
+        async getOrCreateRoom(userA, userB) {
+            const { data, error } = await this.client
+                .rpc('get_or_create_room', {
+                    user_a: userA,
+                    user_b: userB
+                });
+
+            if (error) throw error;
+            return data;
+        }
+
+        async createCall(call) {
+            const { data, error } = await this.client
+                .from('calls')
+                .insert(call)
+                .select()
+                .single();
+
+            if (error) throw error;
+            return data;
+        }
+
+        async updateCall(callId, fields) {
+            const { error } = await this.client
+                .from('calls')
+                .update(fields)
+                .eq('id', callId);
+
+            if (error) throw error;
+        }
+
+        async getCallHistory(username, options = {}) {
+            const { data, error } = await this.client
+                .rpc('get_call_history', {
+                    for_user: username,
+                    with_user: options.withUser || null,
+                    before_time: options.before || null,
+                    before_id: options.beforeId || null,
+                    max_rows: options.limit || 50
+                });
+
+            if (error) throw error;
+            return data || [];
+        }
+
+        async sendSignal(signal) {
+            const { error } = await this.client
+                .from('signaling')
+                .insert(signal);
+
+            if (error) throw error;
+        }
+
+        async getSignals(callId, receiverUsername) {
+            const { data, error } = await this.client
+                .from('signaling')
+                .select('*')
+                .eq('call_id', callId)
+                .eq('receiver_username', receiverUsername)
+                .order('created_at', { ascending: true });
+
+            if (error) throw error;
+            return data || [];
+        }
+
+        async deleteSignals(callId) {
+            const { error } = await this.client
+                .from('signaling')
+                .delete()
+                .eq('call_id', callId);
+
+            if (error) throw error;
+        }
+
+        async addParticipants(participants) {
+            const { error } = await this.client
+                .from('call_participants')
+                .insert(participants);
+
+            if (error) throw error;
+        }
+
+        async updateParticipant(callId, username, fields) {
+            const { error } = await this.client
+                .from('call_participants')
+                .update(fields)
+                .eq('call_id', callId)
+                .eq('username', username);
+
+            if (error) throw error;
+        }
+
+        async getParticipants(callId) {
+            const { data, error } = await this.client
+                .from('call_participants')
+                .select('*')
+                .eq('call_id', callId);
+
+            if (error) throw error;
+            return data || [];
+        }
+
+        async createRecording(recording) {
+            const { error } = await this.client
+                .from('call_recordings')
+                .insert(recording);
+
+            if (error) throw error;
+        }
+
+        async updateRecording(callId, fields, username) {
+            let query = this.client
+                .from('call_recordings')
+                .update(fields)
+                .eq('call_id', callId);
+
+            if (username) {
+                query = query.eq('recorded_by', username);
+            }
+
+            const { error } = await query;
+
+            if (error) throw error;
+        }
+
+        async listRecordings(username, options = {}) {
+            let query = this.client
+                .from('call_recordings')
+                .select('*')
+                .eq('recorded_by', username)
+                .order('created_at', { ascending: false })
+                .limit(options.limit || 50);
+
+            if (options.callId) {
+                query = query.eq('call_id', options.callId);
+            }
+            if (options.withUser) {
+                query = query.contains('participants', [options.withUser]);
+            }
+            if (options.from) {
+                query = query.gte('created_at', options.from);
+            }
+            if (options.to) {
+                query = query.lte('created_at', options.to);
+            }
+
+            const { data, error } = await query;
+
+            if (error) throw error;
+            return data || [];
+        }
+
+        async deleteRecording(callId, username) {
+            const { error } = await this.client
+                .from('call_recordings')
+                .delete()
+                .eq('call_id', callId)
+                .eq('recorded_by', username);
+
+            if (error) throw error;
+        }
+
+        async uploadRecording(path, blob, contentType) {
+            const { error } = await this.client.storage
+                .from('call-recordings')
+                .upload(path, blob, {
+                    contentType: contentType,
+                    upsert: true
+                });
+
+            if (error) throw error;
+        }
+
+        async getRecordingUrl(path, expiresIn) {
+            const { data, error } = await this.client.storage
+                .from('call-recordings')
+                .createSignedUrl(path, expiresIn);
+
+            if (error) throw error;
+            return data.signedUrl;
+        }
+
+        async listRecordingFiles(folder) {
+            const { data, error } = await this.client.storage
+                .from('call-recordings')
+                .list(folder, { limit: 1000 });
+
+            if (error) throw error;
+            return (data || []).map(file => `${folder}/${file.name}`);
+        }
+
+        async deleteRecordingFiles(paths) {
+            const { error } = await this.client.storage
+                .from('call-recordings')
+                .remove(paths);
+
+            if (error) throw error;
+        }
+
+        async getTurnCredentials(username) {
+            const { data, error } = await this.client.functions.invoke('voicelink-signaling', {
+                body: { action: 'get_turn_credentials', data: { username } }
+            });
+
+            if (error) throw error;
+            if (data.error) throw new Error(data.error);
+            return data.data.iceServers;
+        }
+
+        async createNotification(notification) {
+            const { error } = await this.client
+                .from('notifications')
+                .insert(notification);
+
+            if (error) throw error;
+        }
+
+        async createCallQuality(reports) {
+            const { error } = await this.client
+                .from('call_quality')
+                .insert(reports);
+
+            if (error) throw error;
+        }
+
+        async getNotifications(username, options = {}) {
+            let query = this.client
+                .from('notifications')
+                .select('*')
+                .eq('username', username)
+                .order('created_at', { ascending: false })
+                .limit(options.limit || 50);
+
+            if (options.unreadOnly) {
+                query = query.eq('is_read', false);
+            }
+
+            const { data, error } = await query;
+
+            if (error) throw error;
+            return data || [];
+        }
+
+        async markNotificationsRead(username, ids) {
+            let query = this.client
+                .from('notifications')
+                .update({ is_read: true })
+                .eq('username', username);
+
+            if (ids) {
+                query = query.in('id', ids);
+            }
+
+            const { error } = await query;
+
+            if (error) throw error;
+        }
+
+        subscribeCalls(username, handlers) {
+            return this.subscribe(this.client
+                .channel('calls-channel')
+                .on('postgres_changes', {
+                    event: 'INSERT',
+                    schema: 'public',
+                    table: 'calls',
+                    filter: `receiver_username=eq.${username}`
+                }, payload => handlers.onInsert(payload.new))
+                .on('postgres_changes', {
+                    event: 'UPDATE',
+                    schema: 'public',
+                    table: 'calls'
+                }, payload => handlers.onUpdate(payload.new)));
+        }
+
+        subscribeSignals(username, onSignal) {
+            return this.subscribe(this.client
+                .channel('signaling-channel')
+                .on('postgres_changes', {
+                    event: 'INSERT',
+                    schema: 'public',
+                    table: 'signaling',
+                    filter: `receiver_username=eq.${username}`
+                }, payload => onSignal(payload.new)));
+        }
+
+        subscribePresence(username, onChange) {
+            return this.subscribe(this.client
+                .channel(`users-channel:${username}`)
+                .on('postgres_changes', {
+                    event: 'UPDATE',
+                    schema: 'public',
+                    table: 'users',
+                    filter: `username=eq.${username}`
+                }, payload => onChange(payload.new)));
+        }
+
+        subscribePresenceState(username, onSync) {
+            const entry = this.presenceChannel(username);
+            entry.listeners.add(onSync);
+
+            return () => {
+                entry.listeners.delete(onSync);
+                this.releasePresenceChannel(username);
+            };
+        }
+
+        async trackPresence(username, state) {
+            const entry = this.presenceChannel(username);
+            entry.state = state;
+
+            // Until the channel is joined, joining publishes it
+            if (!entry.subscribed) return entry.joined;
+
+            const result = await entry.channel.track(state);
+            if (result !== 'ok') throw new Error(`VoiceLink: Presence update ${result}`);
+        }
+
+        async untrackPresence(username) {
+            const entry = this.presenceChannels.get(username);
+            if (!entry || !entry.state) return;
+
+            entry.state = null;
+            await entry.channel.untrack();
+            this.releasePresenceChannel(username);
+        }
+
+        /**
+         * Realtime presence channel of a user, shared by tracking and watching.
+         * Channels are private, so the realtime.messages policies decide who
+         * may publish on them.
+         */
+        presenceChannel(username) {
+            let entry = this.presenceChannels.get(username);
+            if (entry) return entry;
+
+            const channel = this.client.channel(`presence:${username}`, { config: { private: true } });
+            entry = { channel, listeners: new Set(), state: null, subscribed: false };
+
+            channel.on('presence', { event: 'sync' }, () => {
+                const states = Object.values(channel.presenceState()).flat();
+                entry.listeners.forEach(listener => listener(states));
+            });
+            entry.joined = new Promise((resolve, reject) => {
+                channel.subscribe((status, error) => {
+                    if (status === 'SUBSCRIBED') {
+                        // Presence belongs to the connection; publish on every (re)join
+                        entry.subscribed = true;
+                        if (entry.state) channel.track(entry.state);
+                        resolve();
+                    } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+                        reject(error || new Error(`VoiceLink: Presence channel ${status}`));
+                    }
+                });
+            });
+            entry.joined.catch(() => {});
+
+            this.presenceChannels.set(username, entry);
+            return entry;
+        }
+
+        releasePresenceChannel(username) {
+            const entry = this.presenceChannels.get(username);
+            if (entry && !entry.state && !entry.listeners.size) {
+                this.presenceChannels.delete(username);
+                this.client.removeChannel(entry.channel);
+            }
+        }
+
+        subscribeInvitations(username, onInvite) {
+            return this.subscribe(this.client
+                .channel('invitations-channel')
+                .on('postgres_changes', {
+                    event: 'INSERT',
+                    schema: 'public',
+                    table: 'call_participants',
+                    filter: `username=eq.${username}`
+                }, payload => onInvite(payload.new)));
+        }
+
+        subscribeParticipants(callId, onChange) {
+            return this.subscribe(this.client
+                .channel(`participants-channel:${callId}`)
+                .on('postgres_changes', {
+                    event: '*',
+                    schema: 'public',
+                    table: 'call_participants',
+                    filter: `call_id=eq.${callId}`
+                }, payload => onChange(payload.new)));
+        }
+
+        subscribe(channel) {
+            channel.subscribe();
+            this.channels.push(channel);
+
+            return () => {
+                this.channels = this.channels.filter(c => c !== channel);
+                this.client.removeChannel(channel);
+            };
+        }
+    }
+
+    /**
+     * Transport speaking JSON over a plain WebSocket.
+     *
+     * Requests are sent as { id, action, data } and answered with
+     * { id, result } or { id, error }. Actions are named after the tables
+     * they touch (upsert_user, create_call, create_signal, ...), matching
+     * the voicelink-signaling edge function where the two overlap.
+     *
+     * The server pushes { event, payload } messages for subscribed topics:
+     * 'call:insert', 'call:update', 'signal', 'user:update',
+     * 'participant:insert' and 'participant:update', plus 'presence:sync'
+     * with { username, states } whenever a tab tracks, untracks or
+     * disconnects (a closed socket takes its presence with it).
+     */
+    class WebSocketTransport extends SignalingTransport {
+        /**
+         * @param {string} url - WebSocket endpoint (ws:// or wss://)
+         * @param {Object} options - Optional { protocols, WebSocket }
+         */
+        constructor(url, options = {}) {
+            super();
+            this.url = url;
+            this.options = options;
+            this.socket = null;
+            this.requestId = 0;
+            this.pending = new Map();
+            this.listeners = new Map();
+        }
+
+        async connect(username) {
+            await super.connect(username);
+
+            const Socket = this.options.WebSocket || window.WebSocket;
+            this.socket = new Socket(this.url, this.options.protocols);
+            this.socket.onmessage = (event) => this.handleMessage(event.data);
+            this.socket.onclose = () => {
+                this.pending.forEach(({ reject }) => reject(new Error('VoiceLink: WebSocket closed')));
+                this.pending.clear();
+            };
+
+            await new Promise((resolve, reject) => {
+                this.socket.onopen = resolve;
+                this.socket.onerror = reject;
+            });
+
+            await this.request('hello', { username });
+        }
+
+        async close() {
+            this.listeners.clear();
+            if (this.socket) {
+                this.socket.close();
+                this.socket = null;
+            }
+        }
+
+        request(action, data) {
+            const id = ++this.requestId;
+
+            return new Promise((resolve, reject) => {
+                this.pending.set(id, { resolve, reject });
+                this.socket.send(JSON.stringify({ id, action, data }));
+            });
+        }
+
+        handleMessage(raw) {
+            let message;
+            try {
+                message = JSON.parse(raw);
+            } catch (error) {
+                console.error('VoiceLink: Invalid WebSocket message:', raw);
+                return;
+            }
+
+            if (message.id && this.pending.has(message.id)) {
+                const { resolve, reject } = this.pending.get(message.id);
+                this.pending.delete(message.id);
+
+                if (message.error) {
+                    reject(new Error(message.error.message || message.error));
+                } else {
+                    resolve(message.result);
+                }
+                return;
+            }
+
+            const handlers = this.listeners.get(message.event) || [];
+            handlers.forEach(handler => handler(message.payload));
+        }
+
+        listen(event, topic, handler) {
+            const wrapped = payload => {
+                if (topic.matches(payload)) handler(payload);
+            };
+
+            if (!this.listeners.has(event)) this.listeners.set(event, []);
+            this.listeners.get(event).push(wrapped);
+            this.request('subscribe', topic.params).catch(error => {
+                console.error('VoiceLink: WebSocket subscribe failed:', error);
+            });
+
+            return () => {
+                const remaining = (this.listeners.get(event) || []).filter(h => h !== wrapped);
+                this.listeners.set(event, remaining);
+                if (this.socket) {
+                    this.request('unsubscribe', topic.params).catch(() => {});
+                }
+            };
+        }
+
+        async upsertUser(user) { await this.request('upsert_user', user); }
+        async updateUser(username, fields) { await this.request('update_user', { username, ...fields }); }
+        async getUser(username) { return this.request('get_user', { username }); }
+        async trackPresence(username, state) { await this.request('track_presence', { username, ...state }); }
+        async untrackPresence(username) { await this.request('untrack_presence', { username }); }
+        async getOrCreateRoom(userA, userB) { return this.request('get_or_create_room', { user_a: userA, user_b: userB }); }
+        async createCall(call) { return this.request('create_call', call); }
+        async updateCall(callId, fields) { await this.request('update_call', { call_id: callId, ...fields }); }
+        async getCallHistory(username, options = {}) {
+            return this.request('get_call_history', {
+                username,
+                with_user: options.withUser || null,
+                before: options.before || null,
+                before_id: options.beforeId || null,
+                limit: options.limit || 50
+            });
+        }
+        async sendSignal(signal) { await this.request('create_signal', signal); }
+        async getSignals(callId, receiverUsername) { return this.request('get_signals', { call_id: callId, receiver_username: receiverUsername }); }
+        async deleteSignals(callId) { await this.request('cleanup_signals', { call_id: callId }); }
+        async addParticipants(participants) { await this.request('add_participants', { participants }); }
+        async updateParticipant(callId, username, fields) { await this.request('update_participant', { call_id: callId, username, ...fields }); }
+        async getParticipants(callId) { return this.request('get_participants', { call_id: callId }); }
+        async createRecording(recording) { await this.request('create_recording', recording); }
+        async updateRecording(callId, fields, username) { await this.request('update_recording', { call_id: callId, recorded_by: username || null, ...fields }); }
+        async listRecordings(username, options = {}) {
+            return this.request('list_recordings', {
+                recorded_by: username,
+                call_id: options.callId || null,
+                with_user: options.withUser || null,
+                from: options.from || null,
+                to: options.to || null,
+                limit: options.limit || 50
+            });
+        }
+        async deleteRecording(callId, username) { await this.request('delete_recording', { call_id: callId, recorded_by: username }); }
+
+        async uploadRecording(path, blob, contentType) {
+            // JSON has no binary type, so files travel base64-encoded
+            const bytes = new Uint8Array(await blob.arrayBuffer());
+            let binary = '';
+            for (let i = 0; i < bytes.length; i += 0x8000) {
+                binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+            }
+            await this.request('upload_recording', { path, content_type: contentType, data: btoa(binary) });
+        }
+
+        async getRecordingUrl(path, expiresIn) { return (await this.request('get_recording_url', { path, expires_in: expiresIn })).url; }
+        async listRecordingFiles(folder) { return this.request('list_recording_files', { folder }); }
+        async deleteRecordingFiles(paths) { await this.request('delete_recording_files', { paths }); }
+        async getTurnCredentials(username) { return (await this.request('get_turn_credentials', { username })).iceServers; }
+        async createNotification(notification) { await this.request('create_notification', notification); }
+        async createCallQuality(reports) { await this.request('create_call_quality', { reports }); }
+        async getNotifications(username, options = {}) { return this.request('get_notifications', { username, unread_only: !!options.unreadOnly, limit: options.limit || 50 }); }
+        async markNotificationsRead(username, ids) { await this.request('mark_notifications_read', { username, ids: ids || null }); }
+
+        subscribeCalls(username, handlers) {
+            const params = { topic: 'calls', username };
+            const offInsert = this.listen('call:insert', {
+                params,
+                matches: call => call.receiver_username === username
+            }, handlers.onInsert);
+            const offUpdate = this.listen('call:update', {
+                params,
+                matches: () => true
+            }, handlers.onUpdate);
+
+            return () => {
+                offInsert();
+                offUpdate();
+            };
+        }
+
+        subscribeSignals(username, onSignal) {
+            return this.listen('signal', {
+                params: { topic: 'signaling', username },
+                matches: signal => signal.receiver_username === username
+            }, onSignal);
+        }
+
+        subscribePresence(username, onChange) {
+            return this.listen('user:update', {
+                params: { topic: 'users', username },
+                matches: user => user.username === username
+            }, onChange);
+        }
+
+        subscribePresenceState(username, onSync) {
+            return this.listen('presence:sync', {
+                params: { topic: 'presence', username },
+                matches: presence => presence.username === username
+            }, presence => onSync(presence.states));
+        }
+
+        subscribeInvitations(username, onInvite) {
+            return this.listen('participant:insert', {
+                params: { topic: 'invitations', username },
+                matches: participant => participant.username === username
+            }, onInvite);
+        }
+
+        subscribeParticipants(callId, onChange) {
+            const params = { topic: 'call_participants', call_id: callId };
+            const matches = participant => participant.call_id === callId;
+            const offInsert = this.listen('participant:insert', { params, matches }, onChange);
+            const offUpdate = this.listen('participant:update', { params, matches }, onChange);
+
+            return () => {
+                offInsert();
+                offUpdate();
+            };
+        }
+    }
+
+    /**
+     * Shared state for InMemoryTransport instances.
+     *
+     * Holds the same tables as database-schema.sql in plain Maps, plus the
+     * presence each transport tracks, and delivers change events on the
+     * microtask queue, so every transport created from one hub sees the
+     * others' writes in a deterministic order.
+     */
+    class InMemoryHub {
+        constructor() {
+            this.users = new Map();
+            this.presence = new Map();
+            this.rooms = new Map();
+            this.calls = new Map();
+            this.signaling = [];
+            this.participants = [];
+            this.recordings = [];
+            this.storage = new Map();
+            this.notifications = [];
+            this.callQuality = [];
+            this.listeners = [];
+            this.nextId = 0;
+        }
+
+        id(prefix) {
+            this.nextId++;
+            return `${prefix}-${this.nextId}`;
+        }
+
+        listen(table, event, handler) {
+            const listener = { table, event, handler };
+            this.listeners.push(listener);
+
+            return () => {
+                this.listeners = this.listeners.filter(l => l !== listener);
+            };
+        }
+
+        emit(table, event, row) {
+            const snapshot = { ...row };
+            this.listeners
+                .filter(l => l.table === table && l.event === event)
+                .forEach(l => Promise.resolve().then(() => l.handler(snapshot)));
+        }
+    }
+
+    /**
+     * Transport that keeps everything in memory.
+     *
+     * Two VoiceLink instances built on transports sharing one InMemoryHub
+     * can call each other in the same page or Node process with no network.
+     */
+    class InMemoryTransport extends SignalingTransport {
+        /**
+         * @param {InMemoryHub} hub - Shared hub (a private one is created if omitted)
+         */
+        constructor(hub = new InMemoryHub()) {
+            super();
+            this.hub = hub;
+            this.unsubscribers = [];
+        }
+
+        async close() {
+            // Like a dropped connection, closing takes this tab's presence along
+            for (const username of this.hub.presence.keys()) {
+                await this.untrackPresence(username);
+            }
+            this.unsubscribers.forEach(off => off());
+            this.unsubscribers = [];
+        }
+
+        async upsertUser(user) {
+            const existing = this.hub.users.get(user.username) || {};
+            const row = { ...existing, ...user };
+            this.hub.users.set(user.username, row);
+            this.hub.emit('users', existing.username ? 'UPDATE' : 'INSERT', row);
+        }
+
+        async updateUser(username, fields) {
+            const existing = this.hub.users.get(username);
+            if (!existing) return;
+
+            const row = { ...existing, ...fields };
+            this.hub.users.set(username, row);
+            this.hub.emit('users', 'UPDATE', row);
+        }
+
+        async getUser(username) {
+            const user = this.hub.users.get(username);
+            if (!user) throw new Error(`VoiceLink: Unknown user ${username}`);
+
+            return {
+                is_online: !!user.is_online,
+                is_busy: !!user.is_busy,
+                status: user.status || 'offline',
+                last_seen: user.last_seen || null
+            };
+        }
+
+        async trackPresence(username, state) {
+            if (!this.hub.presence.has(username)) {
+                this.hub.presence.set(username, new Map());
+            }
+            this.hub.presence.get(username).set(this, { ...state });
+            this.emitPresence(username);
+        }
+
+        async untrackPresence(username) {
+            const states = this.hub.presence.get(username);
+            if (states && states.delete(this)) {
+                this.emitPresence(username);
+            }
+        }
+
+        presenceStates(username) {
+            return [...(this.hub.presence.get(username) || new Map()).values()];
+        }
+
+        emitPresence(username) {
+            this.hub.emit('presence', 'SYNC', { username, states: this.presenceStates(username) });
+        }
+
+        async getOrCreateRoom(userA, userB) {
+            const key = [userA, userB].sort().join(':');
+            if (!this.hub.rooms.has(key)) {
+                this.hub.rooms.set(key, this.hub.id('room'));
+            }
+            return this.hub.rooms.get(key);
+        }
+
+        async createCall(call) {
+            const row = {
+                id: this.hub.id('call'),
+                start_time: new Date().toISOString(),
+                end_time: null,
+                duration: 0,
+                created_at: new Date().toISOString(),
+                ...call,
+                answered_at: null
+            };
+            this.hub.calls.set(row.id, row);
+            this.hub.emit('calls', 'INSERT', row);
+            return { ...row };
+        }
+
+        async updateCall(callId, fields) {
+            const existing = this.hub.calls.get(callId);
+            if (!existing) return;
+
+            // Like the schema's trigger: answered_at is set once, on the first answer
+            const row = { ...existing, ...fields, answered_at: existing.answered_at };
+            if (!row.answered_at && ['accepted', 'held'].includes(row.call_status)) {
+                row.answered_at = new Date().toISOString();
+            }
+            this.hub.calls.set(callId, row);
+            this.hub.emit('calls', 'UPDATE', row);
+        }
+
+        async sendSignal(signal) {
+            const row = {
+                id: this.hub.id('signal'),
+                created_at: new Date().toISOString(),
+                ...signal
+            };
+            this.hub.signaling.push(row);
+            this.hub.emit('signaling', 'INSERT', row);
+        }
+
+        async getSignals(callId, receiverUsername) {
+            return this.hub.signaling
+                .filter(s => s.call_id === callId && s.receiver_username === receiverUsername)
+                .map(s => ({ ...s }));
+        }
+
+        async deleteSignals(callId) {
+            this.hub.signaling = this.hub.signaling.filter(s => s.call_id !== callId);
+        }
+
+        async addParticipants(participants) {
+            participants.forEach(participant => {
+                const row = {
+                    id: this.hub.id('participant'),
+                    created_at: new Date().toISOString(),
+                    joined_at: null,
+                    left_at: null,
+                    ...participant
+                };
+                this.hub.participants.push(row);
+                this.hub.emit('call_participants', 'INSERT', row);
+            });
+        }
+
+        async updateParticipant(callId, username, fields) {
+            const row = this.hub.participants.find(p => p.call_id === callId && p.username === username);
+            if (!row) return;
+
+            Object.assign(row, fields);
+            this.hub.emit('call_participants', 'UPDATE', row);
+        }
+
+        async getParticipants(callId) {
+            return this.hub.participants
+                .filter(p => p.call_id === callId)
+                .map(p => ({ ...p }));
+        }
+
+        async getCallHistory(username, options = {}) {
+            const participantsOf = callId => this.hub.participants.filter(p => p.call_id === callId);
+            const involves = (call, user) => call.caller_username === user || call.receiver_username === user ||
+                participantsOf(call.id).some(p => p.username === user);
+
+            return [...this.hub.calls.values()]
+                .filter(call => involves(call, username) &&
+                    (!options.withUser || involves(call, options.withUser)) &&
+                    (!options.before || call.start_time < options.before ||
+                        (call.start_time === options.before && options.beforeId && call.id < options.beforeId)))
+                .sort((a, b) => b.start_time.localeCompare(a.start_time) || b.id.localeCompare(a.id))
+                .slice(0, options.limit || 50)
+                .map(call => {
+                    const participants = participantsOf(call.id);
+                    const own = participants.find(p => p.username === username);
+                    return {
+                        ...call,
+                        participants: participants.map(p => p.username),
+                        participant_status: own ? own.status : null
+                    };
+                });
+        }
+
+        async createRecording(recording) {
+            this.hub.recordings.push({
+                id: this.hub.id('recording'),
+                created_at: new Date().toISOString(),
+                ...recording
+            });
+        }
+
+        async updateRecording(callId, fields, username) {
+            this.hub.recordings
+                .filter(r => r.call_id === callId && (!username || r.recorded_by === username))
+                .forEach(r => Object.assign(r, fields));
+        }
+
+        async listRecordings(username, options = {}) {
+            return this.hub.recordings
+                .filter(r => r.recorded_by === username &&
+                    (!options.callId || r.call_id === options.callId) &&
+                    (!options.withUser || (r.participants || []).includes(options.withUser)) &&
+                    (!options.from || r.created_at >= options.from) &&
+                    (!options.to || r.created_at <= options.to))
+                .reverse()
+                .slice(0, options.limit || 50)
+                .map(r => ({ ...r }));
+        }
+
+        async deleteRecording(callId, username) {
+            this.hub.recordings = this.hub.recordings
+                .filter(r => r.call_id !== callId || r.recorded_by !== username);
+        }
+
+        async uploadRecording(path, blob, contentType) {
+            this.hub.storage.set(path, { blob, contentType });
+        }
+
+        async getRecordingUrl(path) {
+            const file = this.hub.storage.get(path);
+            if (!file) throw new Error(`No recording file at ${path}`);
+            return URL.createObjectURL(file.blob);
+        }
+
+        async listRecordingFiles(folder) {
+            return [...this.hub.storage.keys()].filter(path => path.startsWith(`${folder}/`));
+        }
+
+        async deleteRecordingFiles(paths) {
+            paths.forEach(path => this.hub.storage.delete(path));
+        }
+
+        async createNotification(notification) {
+            this.hub.notifications.push({
+                id: this.hub.id('notification'),
+                is_read: false,
+                created_at: new Date().toISOString(),
+                ...notification
+            });
+        }
+
+        async getNotifications(username, options = {}) {
+            return this.hub.notifications
+                .filter(n => n.username === username && (!options.unreadOnly || !n.is_read))
+                .reverse()
+                .slice(0, options.limit || 50)
+                .map(n => ({ ...n }));
+        }
+
+        async createCallQuality(reports) {
+            reports.forEach(report => {
+                this.hub.callQuality.push({
+                    id: this.hub.id('quality'),
+                    created_at: new Date().toISOString(),
+                    ...report
+                });
+            });
+        }
+
+        async markNotificationsRead(username, ids) {
+            this.hub.notifications
+                .filter(n => n.username === username && (!ids || ids.includes(n.id)))
+                .forEach(n => { n.is_read = true; });
+        }
+
+        subscribeCalls(username, handlers) {
+            return this.track(
+                this.hub.listen('calls', 'INSERT', call => {
+                    if (call.receiver_username === username) handlers.onInsert(call);
+                }),
+                this.hub.listen('calls', 'UPDATE', handlers.onUpdate)
+            );
+        }
+
+        subscribeSignals(username, onSignal) {
+            return this.track(this.hub.listen('signaling', 'INSERT', signal => {
+                if (signal.receiver_username === username) onSignal(signal);
+            }));
+        }
+
+        subscribePresence(username, onChange) {
+            return this.track(this.hub.listen('users', 'UPDATE', user => {
+                if (user.username === username) onChange(user);
+            }));
+        }
+
+        subscribePresenceState(username, onSync) {
+            const off = this.track(this.hub.listen('presence', 'SYNC', presence => {
+                if (presence.username === username) onSync(presence.states);
+            }));
+
+            // Joining hands over what is already there
+            let subscribed = true;
+            Promise.resolve().then(() => {
+                if (subscribed) onSync(this.presenceStates(username));
+            });
+
+            return () => {
+                subscribed = false;
+                off();
+            };
+        }
+
+        subscribeInvitations(username, onInvite) {
+            return this.track(this.hub.listen('call_participants', 'INSERT', participant => {
+                if (participant.username === username) onInvite(participant);
+            }));
+        }
+
+        subscribeParticipants(callId, onChange) {
+            const handler = participant => {
+                if (participant.call_id === callId) onChange(participant);
+            };
+
+            return this.track(
+                this.hub.listen('call_participants', 'INSERT', handler),
+                this.hub.listen('call_participants', 'UPDATE', handler)
+            );
+        }
+
+        track(...offs) {
+            this.unsubscribers.push(...offs);
+
+            return () => {
+                offs.forEach(off => off());
+                this.unsubscribers = this.unsubscribers.filter(off => !offs.includes(off));
+            };
+        }
+    }
+
+    /**
+     * Minimal event emitter used by VoiceLink
+     */
+    class EventEmitter {
+        constructor() {
+            this.handlers = new Map();
+        }
+
+        /**
+         * Register an event handler
+         * @param {string} event - Event name
+         * @param {Function} handler - Called with the event payload
+         */
+        on(event, handler) {
+            if (!this.handlers.has(event)) this.handlers.set(event, new Set());
+            this.handlers.get(event).add(handler);
+            return this;
+        }
+
+        /**
+         * Remove an event handler
+         */
+        off(event, handler) {
+            const handlers = this.handlers.get(event);
+            if (handlers) handlers.delete(handler);
+            return this;
+        }
+
+        emit(event, payload) {
+            const handlers = this.handlers.get(event);
+            if (!handlers) return;
+
+            handlers.forEach(handler => {
+                try {
+                    handler(payload);
+                } catch (error) {
+                    console.error(`VoiceLink: Error in ${event} handler:`, error);
+                }
+            });
+        }
+    }
+
+    /**
+     * Legal call state transitions. Every call starts and finishes at idle;
+     * 'ended' is held just long enough for listeners to see why.
+     */
+    const CALL_TRANSITIONS = {
+        idle: ['calling', 'ringing'],
+        calling: ['ringing', 'connecting', 'connected', 'ended'],
+        ringing: ['connecting', 'connected', 'ended'],
+        connecting: ['connected', 'ended'],
+        connected: ['held', 'ended'],
+        held: ['connected', 'ended'],
+        ended: ['idle']
+    };
+
+    /**
+     * calls.call_status values that finish a call, with the end reason each implies
+     */
+    const ENDED_DB_STATUSES = {
+        ended: 'hangup',
+        declined: 'declined',
+        busy: 'busy',
+        missed: 'missed'
+    };
+
+    /**
+     * Call state machine with validated transitions.
+     *
+     * Knows nothing about WebRTC or transports, so it can be unit tested
+     * on its own (exported as VoiceLink.CallStateMachine).
+     */
+    class CallStateMachine {
+        /**
+         * @param {string} state - Initial state (default: idle)
+         */
+        constructor(state = 'idle') {
+            if (!CALL_TRANSITIONS[state]) {
+                throw new Error(`VoiceLink: Unknown call state "${state}"`);
+            }
+            this.state = state;
+            this.endReason = null;
+        }
+
+        /**
+         * Whether moving to the given state is legal from the current one
+         */
+        can(to) {
+            return CALL_TRANSITIONS[this.state].includes(to);
+        }
+
+        /**
+         * Move to a new state
+         * @param {string} to - Target state
+         * @param {string} reason - Why the call ended (only used for 'ended')
+         * @returns {string} The previous state
+         * @throws {Error} If the transition is not legal
+         */
+        transition(to, reason = null) {
+            if (!this.can(to)) {
+                throw new Error(`VoiceLink: Illegal call state transition ${this.state} -> ${to}`);
+            }
+
+            const previous = this.state;
+            this.state = to;
+            this.endReason = to === 'ended' ? reason : null;
+            return previous;
+        }
+
+        /**
+         * calls.call_status value for the current state
+         */
+        toDbStatus() {
+            return CallStateMachine.toDbStatus(this.state, this.endReason);
+        }
+
+        /**
+         * Map a state (and end reason) to a calls.call_status value
+         * @returns {string|null} Null for idle, which has no call row
+         */
+        static toDbStatus(state, reason = null) {
+            switch (state) {
+                case 'calling':
+                case 'ringing':
+                    return state;
+                case 'connecting':
+                case 'connected':
+                    return 'accepted';
+                case 'held':
+                    return 'held';
+                case 'ended':
+                    return ['declined', 'busy', 'missed'].includes(reason) ? reason : 'ended';
+                case 'idle':
+                    return null;
+                default:
+                    throw new Error(`VoiceLink: Unknown call state "${state}"`);
+            }
+        }
+
+        /**
+         * Map a calls.call_status value to a state and end reason
+         * @returns {{state: string, reason: string|null}}
+         */
+        static fromDbStatus(status) {
+            if (ENDED_DB_STATUSES[status]) {
+                return { state: 'ended', reason: ENDED_DB_STATUSES[status] };
+            }
+
+            switch (status) {
+                case 'calling':
+                case 'ringing':
+                case 'held':
+                    return { state: status, reason: null };
+                case 'accepted':
+                    return { state: 'connecting', reason: null };
+                default:
+                    throw new Error(`VoiceLink: Unknown call status "${status}"`);
+            }
+        }
+    }
+
+    CallStateMachine.STATES = Object.keys(CALL_TRANSITIONS);
+
+    /**
+     * One RTCPeerConnection to one remote participant of the current call.
+     *
+     * Direct calls have a single session; group calls have one per other
+     * participant (a full mesh).
+     */
+    class PeerSession {
+        /**
+         * @param {VoiceLink} client - Owning VoiceLink instance
+         * @param {string} username - Remote participant
+         * @param {boolean} initiator - Whether this side sends the offer
+         */
+        constructor(client, username, initiator) {
+            this.client = client;
+            this.username = username;
+            this.initiator = initiator;
+            this.callId = client.currentCallId;
+            this.pc = null;
+            this.remoteStream = null;
+            this.audioElement = null;
+            this.pendingCandidates = [];
+            this.signalQueue = Promise.resolve();
+            this.makingOffer = false;
+            this.ignoreOffer = false;
+            this.reconnectAttempts = 0;
+            this.reconnectTimer = null;
+            this.screenSender = null;
+            this.screenReplacedCamera = false;
+        }
+
+        /**
+         * Whether this side gives way when both sides offer at once.
+         *
+         * The callee is polite in direct calls; in group calls the higher
+         * username is, matching who sends the first offer.
+         */
+        get polite() {
+            return this.client.isGroup ? this.client.config.currentUser > this.username : !this.initiator;
+        }
+
+        /**
+         * Create the peer connection and attach the local stream
+         */
+        open(configuration) {
+            this.pc = new RTCPeerConnection(configuration);
+
+            // Add local stream tracks
+            const localStream = this.client.localStream;
+            localStream.getTracks().forEach(track => {
+                this.pc.addTrack(track, localStream);
+            });
+
+            // Participants joining (or reconnecting) mid-share get the screen too
+            if (this.client.screenStream) {
+                this.attachScreenTrack(this.client.screenStream.getVideoTracks()[0]);
+            }
+
+            // Handle remote stream
+            this.pc.ontrack = (event) => {
+                this.remoteStream = event.streams[0];
+                this.remoteStream.onremovetrack = () => this.client.handleRemoteStream(this);
+                this.client.playRemoteAudio(this);
+                if (event.track.kind === 'video') {
+                    event.track.onunmute = () => this.client.handleRemoteStream(this);
+                    event.track.onmute = () => this.client.handleRemoteStream(this);
+                }
+                this.client.handleRemoteStream(this);
+            };
+
+            // Handle ICE candidates
+            this.pc.onicecandidate = (event) => {
+                if (event.candidate) {
+                    this.client.sendSignal('ice-candidate', event.candidate, this.username, this.callId);
+                }
+            };
+
+            // Handle connection state changes
+            this.pc.onconnectionstatechange = () => {
+                if (this.pc) {
+                    this.client.handlePeerStateChange(this);
+                }
+            };
+
+            // Either side renegotiates whenever tracks change or ICE restarts;
+            // collisions are settled in apply()
+            this.pc.onnegotiationneeded = () => {
+                // The answering side waits for the first offer instead of racing it
+                if (!this.initiator && !this.pc.remoteDescription) return;
+                this.offer();
+            };
+        }
+
+        /**
+         * Create and send an offer
+         * @param {Object} options - Optional createOffer options, e.g. { iceRestart: true }
+         */
+        async offer(options = {}) {
+            if (!this.pc) return;
+
+            try {
+                this.makingOffer = true;
+                const offer = await this.pc.createOffer(options);
+
+                // Closed, or the other side's offer got in first
+                if (!this.pc || this.pc.signalingState !== 'stable') return;
+
+                await this.pc.setLocalDescription(offer);
+                await this.client.sendSignal('offer', offer, this.username, this.callId);
+            } catch (error) {
+                this.client.reportError('signaling', 'Error creating offer', error);
+            } finally {
+                this.makingOffer = false;
+            }
+        }
+
+        /**
+         * Gather fresh ICE candidates on the existing connection and renegotiate
+         *
+         * Tracks, streams and the remote side's connection all stay in place;
+         * only the network path is replaced.
+         */
+        async restartIce() {
+            if (!this.pc) return;
+
+            if (typeof this.pc.restartIce === 'function') {
+                // onnegotiationneeded sends the restart offer once signaling is stable
+                this.pc.restartIce();
+            } else if (this.pc.signalingState === 'stable') {
+                await this.offer({ iceRestart: true });
+            }
+        }
+
+        /**
+         * Cancel a scheduled ICE restart
+         */
+        clearReconnect() {
+            if (this.reconnectTimer) {
+                clearTimeout(this.reconnectTimer);
+                this.reconnectTimer = null;
+            }
+        }
+
+        /**
+         * Swap the track sent for one kind in place, without renegotiating
+         */
+        async replaceTrack(kind, track) {
+            const sender = this.pc.getSenders().find(sender =>
+                sender !== this.screenSender && sender.track && sender.track.kind === kind
+            );
+            if (sender) {
+                await sender.replaceTrack(track);
+            }
+        }
+
+        /**
+         * Add a local track mid-call (onnegotiationneeded renegotiates)
+         */
+        addTrack(track, stream) {
+            this.pc.addTrack(track, stream);
+        }
+
+        /**
+         * Send a screen track in place of the camera, or as a new video track
+         */
+        attachScreenTrack(track) {
+            const cameraSender = this.pc.getSenders().find(sender => sender.track && sender.track.kind === 'video');
+            if (cameraSender) {
+                this.screenSender = cameraSender;
+                this.screenReplacedCamera = true;
+                cameraSender.replaceTrack(track).catch(error => console.error('Error sharing screen:', error));
+                return;
+            }
+
+            // Same stream as the microphone so the remote side keeps a single stream
+            this.screenSender = this.pc.addTrack(track, this.client.localStream);
+            this.screenReplacedCamera = false;
+        }
+
+        /**
+         * Stop sending the screen, restoring the camera if it was replaced
+         */
+        detachScreenTrack(cameraTrack) {
+            const sender = this.screenSender;
+            if (!sender) return;
+            this.screenSender = null;
+
+            if (this.screenReplacedCamera) {
+                this.screenReplacedCamera = false;
+                sender.replaceTrack(cameraTrack || null).catch(error => console.error('Error restoring camera:', error));
+                return;
+            }
+
+            this.pc.removeTrack(sender);
+        }
+
+        /**
+         * Queue a signal so candidates never overtake the description they belong to
+         */
+        enqueue(signal) {
+            this.signalQueue = this.signalQueue.then(() => this.apply(signal));
+            return this.signalQueue;
+        }
+
+        /**
+         * Apply a signal from this participant
+         */
+        async apply(signal) {
+            if (!this.pc) return;
+
+            try {
+                if (signal.signal_type === 'offer' || signal.signal_type === 'answer') {
+                    const description = signal.signal_data;
+
+                    // Perfect negotiation: when both sides offer at once, the
+                    // impolite side keeps its offer and the polite side rolls back
+                    const offerCollision = description.type === 'offer' &&
+                        (this.makingOffer || this.pc.signalingState !== 'stable');
+                    this.ignoreOffer = !this.polite && offerCollision;
+                    if (this.ignoreOffer) {
+                        console.log(`Ignoring colliding offer from ${this.username}`);
+                        return;
+                    }
+
+                    if (description.type === 'answer' && this.pc.signalingState !== 'have-local-offer') {
+                        console.warn(`VoiceLink: Ignoring unexpected answer from ${this.username}`);
+                        return;
+                    }
+
+                    if (offerCollision && this.pc.signalingState === 'have-local-offer') {
+                        await this.pc.setLocalDescription({ type: 'rollback' });
+                    }
+                    await this.pc.setRemoteDescription(new RTCSessionDescription(description));
+                    await this.flushPendingCandidates();
+
+                    if (description.type === 'offer') {
+                        const answer = await this.pc.createAnswer();
+                        await this.pc.setLocalDescription(answer);
+                        await this.client.sendSignal('answer', answer, this.username, this.callId);
+                    }
+                } else if (signal.signal_type === 'ice-candidate') {
+                    if (!this.pc.remoteDescription) {
+                        // Candidates can be stored before the description they belong to
+                        this.pendingCandidates.push(signal.signal_data);
+                        return;
+                    }
+
+                    try {
+                        await this.pc.addIceCandidate(new RTCIceCandidate(signal.signal_data));
+                    } catch (error) {
+                        // Candidates of an offer we ignored are expected to fail
+                        if (!this.ignoreOffer) throw error;
+                    }
+                }
+            } catch (error) {
+                this.client.reportError('signaling', 'Error handling signal', error);
+            }
+        }
+
+        /**
+         * Add ICE candidates held back until the remote description was set
+         */
+        async flushPendingCandidates() {
+            const candidates = this.pendingCandidates;
+            this.pendingCandidates = [];
+
+            for (const candidate of candidates) {
+                await this.pc.addIceCandidate(new RTCIceCandidate(candidate));
+            }
+        }
+
+        /**
+         * Close the connection and remove its audio element
+         */
+        close() {
+            this.clearReconnect();
+
+            if (this.pc) {
+                this.pc.close();
+                this.pc = null;
+            }
+
+            if (this.audioElement) {
+                this.audioElement.remove();
+                this.audioElement = null;
+            }
+        }
+    }
+
+    /**
+     * Limits past which a connection counts as poor
+     */
+    const POOR_CONNECTION = {
+        rtt: 400, // ms
+        jitter: 50, // ms
+        packetLoss: 5 // percent
+    };
+
+    /**
+     * Samples getStats() of every peer connection while a call is connected.
+     *
+     * Each sample is reduced to { rtt, jitter, packetLoss, bitrateIn,
+     * bitrateOut, audioLevel, candidateType } and folded into a per-peer
+     * summary that endCall stores in the call_quality table.
+     */
+    class CallQualityMonitor {
+        /**
+         * @param {VoiceLink} client - Owning VoiceLink instance
+         * @param {number} interval - Sampling interval in ms
+         */
+        constructor(client, interval) {
+            this.client = client;
+            this.interval = interval;
+            this.timer = null;
+            this.peers = new Map();
+        }
+
+        start() {
+            if (this.timer) return;
+            this.timer = setInterval(() => this.sample(), this.interval);
+        }
+
+        stop() {
+            if (this.timer) {
+                clearInterval(this.timer);
+                this.timer = null;
+            }
+        }
+
+        /**
+         * Take one sample of every peer connection
+         */
+        async sample() {
+            for (const peer of this.client.peers.values()) {
+                if (!peer.pc) continue;
+
+                try {
+                    const report = await peer.pc.getStats();
+                    this.record(peer, CallQualityMonitor.parse(report));
+                } catch (error) {
+                    console.error('Error reading call stats:', error);
+                }
+            }
+        }
+
+        /**
+         * Pull the figures we track out of an RTCStatsReport
+         */
+        static parse(report) {
+            const pairs = new Map();
+            const candidates = new Map();
+            const totals = {
+                timestamp: Date.now(),
+                bytesReceived: 0,
+                bytesSent: 0,
+                packetsLost: 0,
+                packetsReceived: 0,
+                jitter: null,
+                audioLevel: null,
+                remoteRtt: null,
+                selectedPairId: null
+            };
+
+            report.forEach(entry => {
+                switch (entry.type) {
+                    case 'transport':
+                        totals.selectedPairId = entry.selectedCandidatePairId || totals.selectedPairId;
+                        break;
+                    case 'candidate-pair':
+                        pairs.set(entry.id, entry);
+                        break;
+                    case 'local-candidate':
+                    case 'remote-candidate':
+                        candidates.set(entry.id, entry);
+                        break;
+                    case 'inbound-rtp':
+                        totals.bytesReceived += entry.bytesReceived || 0;
+                        if (entry.kind === 'audio') {
+                            totals.packetsLost += entry.packetsLost || 0;
+                            totals.packetsReceived += entry.packetsReceived || 0;
+                            totals.jitter = entry.jitter ?? totals.jitter;
+                            totals.audioLevel = entry.audioLevel ?? totals.audioLevel;
+                        }
+                        break;
+                    case 'outbound-rtp':
+                        totals.bytesSent += entry.bytesSent || 0;
+                        break;
+                    case 'remote-inbound-rtp':
+                        totals.remoteRtt = entry.roundTripTime ?? totals.remoteRtt;
+                        break;
+                }
+            });
+
+            // Firefox has no transport stats; fall back to the nominated pair
+            const pair = pairs.get(totals.selectedPairId) ||
+                [...pairs.values()].find(p => p.nominated && p.state === 'succeeded');
+            const local = pair && candidates.get(pair.localCandidateId);
+            const remote = pair && candidates.get(pair.remoteCandidateId);
+            const rtt = pair && pair.currentRoundTripTime !== undefined ? pair.currentRoundTripTime : totals.remoteRtt;
+
+            totals.rtt = rtt === null ? null : Math.round(rtt * 1000);
+            totals.jitter = totals.jitter === null ? null : Math.round(totals.jitter * 1000);
+            totals.candidateType = local && remote && remote.candidateType === 'relay'
+                ? 'relay'
+                : (local ? local.candidateType : null);
+
+            return totals;
+        }
+
+        /**
+         * Turn totals into rates against the previous sample and update the summary
+         */
+        record(peer, totals) {
+            let state = this.peers.get(peer.username);
+
+            // A replaced connection starts its counters from zero again
+            if (!state || state.pc !== peer.pc) {
+                state = {
+                    pc: peer.pc,
+                    previous: null,
+                    poor: state ? state.poor : false,
+                    summary: state ? state.summary : {
+                        samples: 0,
+                        poorSamples: 0,
+                        rttTotal: 0,
+                        rttSamples: 0,
+                        maxRtt: 0,
+                        jitterTotal: 0,
+                        jitterSamples: 0,
+                        bitrateTotal: 0,
+                        packetsLost: 0,
+                        packetsReceived: 0,
+                        candidateType: null
+                    }
+                };
+                this.peers.set(peer.username, state);
+            }
+
+            const previous = state.previous;
+            state.previous = totals;
+            if (!previous) return;
+
+            const seconds = (totals.timestamp - previous.timestamp) / 1000 || 1;
+            const lost = Math.max(0, totals.packetsLost - previous.packetsLost);
+            const received = Math.max(0, totals.packetsReceived - previous.packetsReceived);
+
+            const stats = {
+                rtt: totals.rtt,
+                jitter: totals.jitter,
+                packetLoss: lost + received > 0 ? Math.round(lost / (lost + received) * 1000) / 10 : 0,
+                bitrateIn: Math.round(Math.max(0, totals.bytesReceived - previous.bytesReceived) * 8 / seconds / 1000),
+                bitrateOut: Math.round(Math.max(0, totals.bytesSent - previous.bytesSent) * 8 / seconds / 1000),
+                audioLevel: totals.audioLevel,
+                candidateType: totals.candidateType
+            };
+            const poor = (stats.rtt !== null && stats.rtt > POOR_CONNECTION.rtt) ||
+                (stats.jitter !== null && stats.jitter > POOR_CONNECTION.jitter) ||
+                stats.packetLoss > POOR_CONNECTION.packetLoss;
+
+            const summary = state.summary;
+            summary.samples++;
+            if (poor) summary.poorSamples++;
+            if (stats.rtt !== null) {
+                summary.rttTotal += stats.rtt;
+                summary.rttSamples++;
+                summary.maxRtt = Math.max(summary.maxRtt, stats.rtt);
+            }
+            if (stats.jitter !== null) {
+                summary.jitterTotal += stats.jitter;
+                summary.jitterSamples++;
+            }
+            summary.bitrateTotal += stats.bitrateIn;
+            summary.packetsLost += lost;
+            summary.packetsReceived += received;
+            summary.candidateType = stats.candidateType || summary.candidateType;
+
+            this.client.handleQualitySample(peer.username, stats, poor, poor !== state.poor);
+            state.poor = poor;
+        }
+
+        /**
+         * call_quality rows for every peer sampled during the call
+         */
+        getSummaries(callId, username) {
+            return [...this.peers.entries()]
+                .filter(([, state]) => state.summary.samples > 0)
+                .map(([remoteUsername, { summary }]) => {
+                    const packets = summary.packetsLost + summary.packetsReceived;
+                    return {
+                        call_id: callId,
+                        username,
+                        remote_username: remoteUsername,
+                        samples: summary.samples,
+                        poor_samples: summary.poorSamples,
+                        avg_rtt_ms: summary.rttSamples ? Math.round(summary.rttTotal / summary.rttSamples) : null,
+                        max_rtt_ms: summary.rttSamples ? summary.maxRtt : null,
+                        avg_jitter_ms: summary.jitterSamples ? Math.round(summary.jitterTotal / summary.jitterSamples) : null,
+                        packet_loss_pct: packets ? Math.round(summary.packetsLost / packets * 10000) / 100 : 0,
+                        avg_bitrate_kbps: Math.round(summary.bitrateTotal / summary.samples),
+                        candidate_type: summary.candidateType
+                    };
+                });
+        }
+    }
+
+    /**
+     * Mixes every participant's audio into the single track a call recording
+     * is made from.
+     *
+     * MediaRecorder only records the first audio track of a stream, so the
+     * tracks go through an AudioContext instead. In stereo mode each source
+     * is downmixed onto channel 0 (left) or 1 (right); otherwise all of them
+     * share both channels.
+     */
+    class RecordingMixer {
+        /**
+         * @param {boolean} stereo - Keep the two sides of the call on separate channels
+         */
+        constructor(stereo = false) {
+            this.context = new (window.AudioContext || window.webkitAudioContext)();
+            this.destination = this.context.createMediaStreamDestination();
+            this.merger = null;
+            this.sources = new Map();
+
+            if (stereo) {
+                this.merger = this.context.createChannelMerger(2);
+                this.merger.connect(this.destination);
+            }
+
+            // Contexts created without a fresh user gesture start suspended
+            if (this.context.state === 'suspended') {
+                this.context.resume().catch(() => {});
+            }
+        }
+
+        /**
+         * The mixed track to record
+         */
+        get stream() {
+            return this.destination.stream;
+        }
+
+        /**
+         * Mix in (or re-wire) one participant's audio
+         * @param {string} key - Participant
+         * @param {MediaStream} stream - Stream holding their audio track (may not have one yet)
+         * @param {number} channel - 0 (left) or 1 (right) in stereo mode
+         */
+        connect(key, stream, channel) {
+            const track = stream ? stream.getAudioTracks()[0] : null;
+            const current = this.sources.get(key);
+            if (current && current.track === track) return;
+
+            this.disconnect(key);
+            if (!track) return;
+
+            const source = this.context.createMediaStreamSource(new MediaStream([track]));
+            if (this.merger) {
+                source.connect(this.merger, 0, channel);
+            } else {
+                source.connect(this.destination);
+            }
+            this.sources.set(key, { track, source });
+        }
+
+        disconnect(key) {
+            const current = this.sources.get(key);
+            if (current) {
+                current.source.disconnect();
+                this.sources.delete(key);
+            }
+        }
+
+        close() {
+            this.sources.forEach(({ source }) => source.disconnect());
+            this.sources.clear();
+            this.context.close().catch(() => {});
+        }
+    }
+
+    /**
+     * Milliseconds of audio in each uploaded recording segment
+     */
+    const RECORDING_TIMESLICE = 10000;
+
+    /**
+     * Recording segments that have not reached storage yet, kept in IndexedDB
+     * so a closed tab or a failed upload can be retried on the next init.
+     * Recordings are keyed by their storage folder, one per call and user.
+     *
+     * Without IndexedDB every method resolves to nothing and segments only
+     * live in memory.
+     */
+    class RecordingStore {
+        constructor(name = 'voicelink-recordings') {
+            this.name = name;
+            this.db = null;
+        }
+
+        /**
+         * Open (and on first use create) the database
+         * @returns {Promise<IDBDatabase|null>}
+         */
+        open() {
+            if (!this.db) {
+                this.db = new Promise((resolve) => {
+                    if (!window.indexedDB) {
+                        resolve(null);
+                        return;
+                    }
+
+                    const request = window.indexedDB.open(this.name, 1);
+                    request.onupgradeneeded = () => {
+                        request.result.createObjectStore('recordings', { keyPath: 'folder' });
+                        request.result.createObjectStore('segments', { keyPath: ['folder', 'seq'] });
+                    };
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => {
+                        console.error('Recording store unavailable:', request.error);
+                        resolve(null);
+                    };
+                });
+            }
+            return this.db;
+        }
+
+        /**
+         * Run one request against a store and resolve with its result once
+         * the transaction commits
+         */
+        async run(storeName, mode, makeRequest) {
+            const db = await this.open();
+            if (!db) return undefined;
+
+            return new Promise((resolve, reject) => {
+                const transaction = db.transaction(storeName, mode);
+                const request = makeRequest(transaction.objectStore(storeName));
+                transaction.oncomplete = () => resolve(request.result);
+                transaction.onerror = () => reject(transaction.error);
+                transaction.onabort = () => reject(transaction.error);
+            });
+        }
+
+        saveRecording(recording) {
+            return this.run('recordings', 'readwrite', store => store.put(recording));
+        }
+
+        async listRecordings() {
+            return (await this.run('recordings', 'readonly', store => store.getAll())) || [];
+        }
+
+        async deleteRecording(folder) {
+            await this.run('segments', 'readwrite', store =>
+                store.delete(window.IDBKeyRange.bound([folder, 0], [folder, Infinity])));
+            await this.run('recordings', 'readwrite', store => store.delete(folder));
+        }
+
+        saveSegment(folder, seq, blob) {
+            return this.run('segments', 'readwrite', store => store.put({ folder, seq, blob }));
+        }
+
+        deleteSegment(folder, seq) {
+            return this.run('segments', 'readwrite', store => store.delete([folder, seq]));
+        }
+
+        async getSegments(folder) {
+            return (await this.run('segments', 'readonly', store =>
+                store.getAll(window.IDBKeyRange.bound([folder, 0], [folder, Infinity])))) || [];
+        }
+    }
+
+    /**
+     * Uploads one recording as numbered WebM segments while the call goes on,
+     * then writes a manifest listing them in order.
+     *
+     * The segments only play back joined together (the first one carries
+     * the WebM header), which is what the manifest is for. Each segment is
+     * saved to the RecordingStore before it is uploaded and dropped from it
+     * once stored, so whatever is left there after a closed tab or a network
+     * failure is picked up by VoiceLink#resumeRecordingUploads.
+     */
+    class RecordingUpload {
+        /**
+         * @param {VoiceLink} client - Owning VoiceLink instance (for the transport and events)
+         * @param {RecordingStore} store - Where unsent segments wait
+         * @param {Object} recording - Saved state; see RecordingUpload.create
+         */
+        constructor(client, store, recording) {
+            this.client = client;
+            this.store = store;
+            this.recording = recording;
+            this.pending = new Map();
+            this.queue = Promise.resolve();
+        }
+
+        /**
+         * Start a new upload for the current user's side of a call
+         * @param {VoiceLink} client - Owning VoiceLink instance
+         * @param {RecordingStore} store - Where unsent segments wait
+         * @param {string} callId - Call being recorded
+         * @param {number} startTime - When the call connected (ms)
+         */
+        static create(client, store, callId, startTime) {
+            const username = client.config.currentUser;
+            return new RecordingUpload(client, store, {
+                callId,
+                username,
+                folder: `recordings/${callId}/${username}`,
+                startTime: startTime || Date.now(),
+                endTime: null,
+                nextSeq: 0,
+                segments: []
+            });
+        }
+
+        get callId() {
+            return this.recording.callId;
+        }
+
+        get manifestPath() {
+            return `${this.recording.folder}/manifest.json`;
+        }
+
+        segmentPath(seq) {
+            return `${this.recording.folder}/${String(seq).padStart(5, '0')}.webm`;
+        }
+
+        /**
+         * Queue the next chunk from the recorder
+         * @param {Blob} blob - Recorded data
+         */
+        add(blob) {
+            const seq = this.recording.nextSeq++;
+            this.recording.endTime = Date.now();
+            this.pending.set(seq, blob);
+
+            const saved = this.store.saveSegment(this.recording.folder, seq, blob)
+                .then(() => this.save())
+                .catch(error => console.error('Error saving recording segment:', error));
+
+            this.queue = this.queue.then(async () => {
+                await saved;
+                await this.uploadSegment(seq);
+            });
+            return this.queue;
+        }
+
+        /**
+         * Upload one pending segment; failures stay pending for a retry
+         */
+        async uploadSegment(seq) {
+            const blob = this.pending.get(seq);
+            if (!blob) return;
+
+            try {
+                const path = this.segmentPath(seq);
+                await this.client.transport.uploadRecording(path, blob, 'audio/webm');
+
+                this.pending.delete(seq);
+                this.recording.segments.push({ seq, path, size: blob.size });
+                await this.store.deleteSegment(this.recording.folder, seq);
+                await this.save();
+            } catch (error) {
+                console.error(`Error uploading recording segment ${seq}:`, error);
+            }
+        }
+
+        save() {
+            this.recording.savedAt = Date.now();
+            return this.store.saveRecording(this.recording);
+        }
+
+        /**
+         * Retry anything still pending, then write the manifest and complete
+         * the recording row. Segments that still fail stay saved for the
+         * next init; without IndexedDB they are lost and the recording fails.
+         * @returns {Promise<boolean>} Whether the recording was completed
+         */
+        async finish() {
+            await this.queue;
+            for (const seq of [...this.pending.keys()].sort((a, b) => a - b)) {
+                await this.uploadSegment(seq);
+            }
+
+            const { callId } = this;
+            if (this.pending.size > 0 && await this.store.open()) {
+                this.client.reportError('recording', 'Recording upload incomplete, will retry',
+                    new Error(`${this.pending.size} segment(s) not uploaded`), callId);
+                return false;
+            }
+
+            try {
+                if (this.pending.size > 0) {
+                    throw new Error(`${this.pending.size} segment(s) not uploaded and nowhere to keep them`);
+                }
+
+                const segments = this.recording.segments.sort((a, b) => a.seq - b.seq);
+                if (segments.length === 0) {
+                    throw new Error('No recording segments were uploaded');
+                }
+
+                const size = segments.reduce((total, segment) => total + segment.size, 0);
+                const duration = Math.floor((this.recording.endTime - this.recording.startTime) / 1000);
+                const manifest = {
+                    callId,
+                    username: this.recording.username,
+                    mimeType: 'audio/webm',
+                    duration,
+                    size,
+                    segments: segments.map(({ path, size }) => ({ path, size }))
+                };
+
+                await this.client.transport.uploadRecording(
+                    this.manifestPath,
+                    new Blob([JSON.stringify(manifest)], { type: 'application/json' }),
+                    'application/json'
+                );
+
+                await this.client.transport.updateRecording(callId, {
+                    file_size: size,
+                    duration,
+                    recording_status: 'completed'
+                }, this.recording.username);
+
+                console.log('Recording uploaded successfully');
+                this.client.emit('recordinguploaded', { callId, path: this.manifestPath, size, duration, segments: segments.length });
+
+            } catch (error) {
+                this.client.reportError('recording', 'Error uploading recording', error, callId);
+
+                await this.client.transport.updateRecording(callId, { recording_status: 'failed' }, this.recording.username)
+                    .catch(() => {});
+            }
+
+            await this.store.deleteRecording(this.recording.folder)
+                .catch(error => console.error('Error clearing saved recording:', error));
+            return true;
+        }
+    }
+
+    /**
+     * Microphone RMS level (0-1) below which the input counts as silent
+     */
+    const SILENT_LEVEL = 0.01;
+
+    /**
+     * Pre-call check of the microphone, speaker and network path.
+     *
+     * Needs no call or signaling: the network check connects two local peer
+     * connections to each other through the configured ICE servers and looks
+     * at which candidate types each server handed out.
+     */
+    class PreflightTest {
+        /**
+         * @param {VoiceLink} client - Owning VoiceLink instance (for devices)
+         * @param {RTCConfiguration} configuration - ICE servers to check
+         * @param {Object} options - See VoiceLink#preflight
+         */
+        constructor(client, configuration, options = {}) {
+            this.client = client;
+            this.configuration = configuration;
+            this.options = options;
+        }
+
+        /**
+         * Run the enabled checks; the network check runs alongside the others
+         */
+        async run() {
+            const started = Date.now();
+            const network = this.options.network !== false ? this.testNetwork() : null;
+
+            const result = {
+                ok: false,
+                microphone: this.options.microphone !== false ? await this.testMicrophone() : null,
+                output: this.options.tone !== false ? await this.playTone() : null,
+                network: network ? await network : null,
+                duration: 0
+            };
+
+            result.ok = [result.microphone, result.output, result.network].every(check => !check || check.ok);
+            result.duration = Date.now() - started;
+            return result;
+        }
+
+        progress(update) {
+            if (this.options.onProgress) {
+                this.options.onProgress(update);
+            }
+        }
+
+        /**
+         * Capture the microphone and follow its level for a few seconds
+         */
+        async testMicrophone() {
+            const result = { ok: false, deviceId: null, label: null, peakLevel: 0, error: null };
+            const duration = this.options.micDuration ?? 3000;
+            let stream = null;
+            let context = null;
+
+            this.progress({ step: 'microphone', status: 'running' });
+
+            try {
+                stream = await navigator.mediaDevices.getUserMedia({ audio: this.client.getAudioConstraints() });
+                const track = stream.getAudioTracks()[0];
+                const settings = track.getSettings ? track.getSettings() : {};
+                result.deviceId = settings.deviceId || null;
+                result.label = track.label || null;
+
+                context = new (window.AudioContext || window.webkitAudioContext)();
+                const analyser = context.createAnalyser();
+                analyser.fftSize = 1024;
+                context.createMediaStreamSource(stream).connect(analyser);
+
+                const samples = new Float32Array(analyser.fftSize);
+                const until = Date.now() + duration;
+                while (Date.now() < until) {
+                    await new Promise(resolve => setTimeout(resolve, 100));
+                    analyser.getFloatTimeDomainData(samples);
+
+                    const level = Math.sqrt(samples.reduce((sum, sample) => sum + sample * sample, 0) / samples.length);
+                    result.peakLevel = Math.max(result.peakLevel, level);
+                    this.progress({ step: 'microphone', status: 'running', level });
+                }
+
+                result.ok = result.peakLevel >= SILENT_LEVEL;
+                if (!result.ok) {
+                    result.error = 'No sound from the microphone';
+                }
+            } catch (error) {
+                result.error = error.name === 'NotAllowedError' ? 'Microphone permission denied' : error.message;
+            } finally {
+                if (stream) {
+                    stream.getTracks().forEach(track => track.stop());
+                }
+                if (context) {
+                    context.close().catch(() => {});
+                }
+            }
+
+            this.progress({ step: 'microphone', status: 'done', result });
+            return result;
+        }
+
+        /**
+         * Play a short tone on the chosen speaker
+         *
+         * Goes through an audio element like call audio does, so setSinkId
+         * sends it to the same output.
+         */
+        async playTone() {
+            const result = { ok: false, deviceId: this.client.outputDeviceId, error: null };
+            const duration = this.options.toneDuration ?? 1000;
+            let context = null;
+            let audio = null;
+
+            this.progress({ step: 'output', status: 'running' });
+
+            try {
+                context = new (window.AudioContext || window.webkitAudioContext)();
+                const oscillator = context.createOscillator();
+                const gain = context.createGain();
+                const destination = context.createMediaStreamDestination();
+                oscillator.frequency.value = 440;
+                gain.gain.value = 0.2;
+                oscillator.connect(gain);
+                gain.connect(destination);
+
+                audio = document.createElement('audio');
+                audio.srcObject = destination.stream;
+                if (this.client.outputDeviceId && canSetSinkId) {
+                    await audio.setSinkId(this.client.outputDeviceId);
+                }
+
+                oscillator.start();
+                await audio.play();
+                await new Promise(resolve => setTimeout(resolve, duration));
+                oscillator.stop();
+                result.ok = true;
+            } catch (error) {
+                result.error = error.message;
+            } finally {
+                if (audio) {
+                    audio.pause();
+                    audio.srcObject = null;
+                }
+                if (context) {
+                    context.close().catch(() => {});
+                }
+            }
+
+            this.progress({ step: 'output', status: 'done', result });
+            return result;
+        }
+
+        /**
+         * Connect two local peer connections through the configured ICE servers
+         *
+         * A server-reflexive candidate means STUN answered and a relay
+         * candidate means TURN did; stun/turn stay null when no server of
+         * that kind is configured.
+         */
+        async testNetwork() {
+            const urls = (this.configuration.iceServers || []).flatMap(server => [].concat(server.urls));
+            const relayOnly = this.configuration.iceTransportPolicy === 'relay';
+            const result = {
+                ok: false,
+                connected: false,
+                stun: !relayOnly && urls.some(url => /^stun:/.test(url)) ? false : null,
+                turn: urls.some(url => /^turns?:/.test(url)) ? false : null,
+                candidateTypes: [],
+                connectionType: null,
+                rtt: null,
+                error: null
+            };
+            const timeout = this.options.timeout ?? 10000;
+            let caller = null;
+            let callee = null;
+
+            this.progress({ step: 'network', status: 'running' });
+
+            try {
+                caller = new RTCPeerConnection(this.configuration);
+                callee = new RTCPeerConnection(this.configuration);
+                const types = new Set();
+
+                caller.onicecandidate = ({ candidate }) => {
+                    if (!candidate) return;
+                    const match = / typ (\w+)/.exec(candidate.candidate || '');
+                    types.add(candidate.type || (match && match[1]));
+                    callee.addIceCandidate(candidate).catch(() => {});
+                };
+                callee.onicecandidate = ({ candidate }) => {
+                    if (candidate) caller.addIceCandidate(candidate).catch(() => {});
+                };
+
+                const connected = new Promise(resolve => {
+                    caller.onconnectionstatechange = () => {
+                        if (caller.connectionState === 'connected') resolve(true);
+                        if (caller.connectionState === 'failed') resolve(false);
+                    };
+                });
+                const gathered = new Promise(resolve => {
+                    caller.onicegatheringstatechange = () => {
+                        if (caller.iceGatheringState === 'complete') resolve();
+                    };
+                });
+
+                caller.createDataChannel('preflight');
+                const offer = await caller.createOffer();
+                await caller.setLocalDescription(offer);
+                await callee.setRemoteDescription(offer);
+                const answer = await callee.createAnswer();
+                await callee.setLocalDescription(answer);
+                await caller.setRemoteDescription(answer);
+
+                // Unreachable servers can keep gathering going for a long time
+                result.connected = await Promise.race([
+                    Promise.all([connected, gathered]).then(([isConnected]) => isConnected),
+                    new Promise(resolve => setTimeout(() => resolve(caller.connectionState === 'connected'), timeout))
+                ]);
+
+                types.delete(null);
+                result.candidateTypes = [...types];
+                if (result.stun === false) result.stun = types.has('srflx');
+                if (result.turn === false) result.turn = types.has('relay');
+
+                if (result.connected) {
+                    const stats = CallQualityMonitor.parse(await caller.getStats());
+                    result.connectionType = stats.candidateType;
+                    result.rtt = stats.rtt;
+                }
+
+                result.ok = result.connected && result.stun !== false && result.turn !== false;
+                if (!result.connected) {
+                    result.error = 'Could not connect';
+                } else if (!result.ok) {
+                    const unreachable = [result.stun === false && 'STUN', result.turn === false && 'TURN'].filter(Boolean);
+                    result.error = `${unreachable.join(' and ')} unreachable`;
+                }
+            } catch (error) {
+                result.error = error.message;
+            } finally {
+                if (caller) caller.close();
+                if (callee) callee.close();
+            }
+
+            this.progress({ step: 'network', status: 'done', result });
+            return result;
+        }
+    }
+
+    /**
+     * Presence states in the order they win when a user's tabs and devices
+     * disagree: a call or do-not-disturb anywhere counts everywhere, and one
+     * active tab outweighs any number of away ones. Nothing connected is 'offline'.
+     */
+    const PRESENCE_STATUSES = ['in-call', 'dnd', 'busy', 'online', 'away'];
+
+    /**
+     * Statuses a user can pick with setStatus; 'in-call' follows the calls
+     */
+    const MANUAL_STATUSES = ['online', 'away', 'busy', 'dnd'];
+
+    /**
+     * Statuses stored as is_busy for readers of the plain flag
+     */
+    const BUSY_STATUSES = ['in-call', 'busy', 'dnd'];
+
+    /**
+     * Input that keeps a tab from going away
+     */
+    const ACTIVITY_EVENTS = ['pointerdown', 'pointermove', 'keydown', 'wheel'];
+
+    /**
+     * Time without input before a tab counts as away (ms)
+     */
+    const DEFAULT_AWAY_AFTER = 5 * 60 * 1000;
+
+    /**
+     * How often a tab rechecks its state and reminds the other tabs it is there (ms)
+     */
+    const PRESENCE_CHECK_INTERVAL = 15000;
+
+    /**
+     * How long a tab goes unheard before the others count it as closed (ms);
+     * background tabs may only get to run timers once a minute
+     */
+    const TAB_TIMEOUT = 90000;
+
+    /**
+     * How long a new tab listens for the others before it acts on its own (ms)
+     */
+    const TAB_HELLO_WAIT = 200;
+
+    /**
+     * The current user's tabs in this browser, kept in touch over a
+     * BroadcastChannel.
+     *
+     * Each tab shares its state ({ status, inCall, focusedAt }) and from
+     * those every tab reaches the same answers without a round trip: the
+     * oldest tab is the leader that writes the user's row, and incoming
+     * calls ring only in the tab that is already in a call, or else in the
+     * one focused last. A status picked with setStatus is shared too.
+     *
+     * Without BroadcastChannel the tab is alone and does everything itself.
+     */
+    class TabGroup {
+        /**
+         * @param {string} username - Current user; other users' tabs never meet
+         * @param {Function} onChange - Called with the message type when another tab joins, changes or leaves
+         */
+        constructor(username, onChange) {
+            this.id = `${Date.now().toString(36).padStart(9, '0')}-${Math.random().toString(36).slice(2, 8)}`;
+            this.onChange = onChange;
+            this.state = {};
+            this.status = null;
+            this.joined = false;
+            this.tabs = new Map();
+            this.channel = typeof BroadcastChannel === 'function'
+                ? new BroadcastChannel(`voicelink:${username}`)
+                : null;
+
+            if (this.channel) {
+                this.channel.onmessage = event => this.handleMessage(event.data);
+            }
+        }
+
+        /**
+         * Announce this tab and give the others a moment to answer
+         * @param {Object} state - Initial state of this tab
+         */
+        async open(state) {
+            this.state = state;
+            if (!this.channel) return;
+
+            this.post('hello');
+            await new Promise(resolve => setTimeout(resolve, TAB_HELLO_WAIT));
+        }
+
+        /**
+         * Share a change to this tab's state
+         */
+        update(state) {
+            if (Object.keys(state).every(key => this.state[key] === state[key])) return;
+
+            this.state = { ...this.state, ...state };
+            this.post('state');
+        }
+
+        /**
+         * Remind the other tabs this one is still open
+         */
+        ping() {
+            this.post('state');
+        }
+
+        /**
+         * Pick a status for every tab (null for none)
+         */
+        setStatus(status) {
+            this.status = status;
+            this.joined = true;
+            this.post('status');
+        }
+
+        close() {
+            if (!this.channel) return;
+
+            this.post('bye');
+            this.channel.close();
+            this.channel = null;
+            this.tabs.clear();
+        }
+
+        post(type) {
+            if (this.channel) {
+                this.channel.postMessage({ type, from: this.id, state: this.state, status: this.status });
+            }
+        }
+
+        handleMessage(message) {
+            if (!message || message.from === this.id) return;
+
+            // A new tab takes the status the others already picked
+            if (message.type === 'status' || (message.type === 'state' && !this.joined)) {
+                this.status = message.status;
+            }
+            this.joined = true;
+
+            if (message.type === 'bye') {
+                this.tabs.delete(message.from);
+            } else {
+                this.tabs.set(message.from, { state: message.state, seenAt: Date.now() });
+            }
+
+            if (message.type === 'hello') {
+                this.ping();
+            }
+            this.onChange(message.type);
+        }
+
+        /**
+         * State of every open tab, this one first
+         * @returns {Object[]} { id, status, inCall, focusedAt }
+         */
+        states() {
+            const cutoff = Date.now() - TAB_TIMEOUT;
+            for (const [id, tab] of this.tabs) {
+                if (tab.seenAt < cutoff) this.tabs.delete(id);
+            }
+
+            return [
+                { id: this.id, ...this.state },
+                ...[...this.tabs].map(([id, tab]) => ({ id, ...tab.state }))
+            ];
+        }
+
+        /**
+         * Whether this is the oldest open tab
+         */
+        get isLeader() {
+            return this.states().every(tab => tab.id >= this.id);
+        }
+
+        /**
+         * Whether incoming calls are this tab's to ring
+         */
+        ownsIncoming() {
+            const [owner] = this.states().sort((a, b) =>
+                (!!b.inCall - !!a.inCall) || ((b.focusedAt || 0) - (a.focusedAt || 0)) || (a.id < b.id ? -1 : 1));
+            return owner.id === this.id;
+        }
+    }
+
+    /**
+     * ICE servers used when config.iceServers is not set
+     */
+    const DEFAULT_ICE_SERVERS = [
+        { urls: 'stun:stun.l.google.com:19302' },
+        { urls: 'stun:stun1.l.google.com:19302' }
+    ];
+
+    /**
+     * Backoff between ICE restart attempts: 1s, 2s, 4s, ... capped (ms)
+     */
+    const RECONNECT_BASE_DELAY = 1000;
+    const RECONNECT_MAX_DELAY = 15000;
+
+    /**
+     * How long an ICE restart gets to reconnect before the next attempt (ms)
+     */
+    const ICE_RESTART_TIMEOUT = 10000;
+
+    /**
+     * How long an unanswered call rings before it counts as missed (ms)
+     */
+    const DEFAULT_RING_TIMEOUT = 45000;
+
+    /**
+     * Extra time the callee gives the caller's timeout before giving up itself (ms)
+     */
+    const RING_TIMEOUT_GRACE = 5000;
+
+    /**
+     * Per-call fields set aside while a call is on hold behind a waiting call
+     */
+    const HELD_CALL_FIELDS = [
+        'currentCallId', 'currentRoomId', 'remoteUser', 'isInitiator', 'callState', 'callConnected',
+        'peers', 'localStream', 'callStartTime', 'callMedia', 'isCameraOn', 'isMuted',
+        'qualityMonitor', 'mediaRecorder', 'recordingUpload', 'holdingLocally', 'holdStartedAt', 'heldDuration',
+        'recordingConsent', 'peerRecordingConsent', 'recordingMixer'
+    ];
+
+    /**
+     * Recording modes: 'always' agrees on this side's behalf, 'ask' asks the
+     * user each call and 'off' never agrees
+     */
+    const RECORDING_MODES = ['off', 'always', 'ask'];
+
+    class VoiceLink extends EventEmitter {
         constructor() {
+            super();
             this.config = null;
+            this.transport = null;
             this.supabase = null;
-            this.peerConnection = null;
+            this.unsubscribers = [];
+            this.localStream = null;
+            this.peers = new Map();
+            this.currentCallId = null;
+            this.currentRoomId = null;
+            this.remoteUser = null;
+            this.isInitiator = false;
+            this.dialing = null;
+            this.crossingCall = null;
+            this.callState = new CallStateMachine();
+            this.callConnected = false;
+            this.presenceWatchers = new Map();
+            this.knownPresence = new Map();
+            this.pendingSignals = new Map();
+            this.handledSignalIds = new Set();
+            this.signalsReady = false;
+            this.mediaRecorder = null;
+            this.recordingMixer = null;
+            this.recordingUpload = null;
+            this.recordingStore = new RecordingStore();
+            this.recordingConsent = null;
+            this.peerRecordingConsent = new Map();
+            this.callStartTime = null;
+            this.realtimeChannel = null;
+            this.heartbeatInterval = null;
+
+            // Presence: this tab's other tabs, and every tab and device of the user
+            this.tabs = null;
+            this.ownPresence = null;
+            this.ownPresenceUnsubscribe = null;
+            this.presenceStatus = null;
+            this.trackedStatus = null;
+            this.writtenStatus = null;
+            this.userUpdates = Promise.resolve();
+            this.lastActivity = Date.now();
+            this.presenceTimer = null;
+            this.activityHandler = null;
+            this.focusHandler = null;
+            this.pageHideHandler = null;
+            this.pageShowHandler = null;
+            this.ringTimers = new Set();
+            this.isEnding = false;
+            this.providedIceServers = [];
+            this.qualityMonitor = null;
+            this.maxReconnectAttempts = 5;
+
+            // Call waiting and hold
+            this.waitingCall = null;
+            this.heldCall = null;
+            this.holdingLocally = false;
+            this.holdStartedAt = null;
+            this.heldDuration = 0;
+
+            // Group calls
+            this.isGroup = false;
+            this.hasJoined = false;
+            this.participants = new Map();
+            this.participantsUnsubscribe = null;
+            this.isMuted = false;
+            this.isSpeakerOn = true;
+            this.callMedia = 'audio';
+            this.isCameraOn = false;
+            this.screenStream = null;
+
+            // Chosen microphone and speaker (null for the system default)
+            this.inputDeviceId = null;
+            this.outputDeviceId = null;
+            this.deviceChangeHandler = null;
+
+            // Default UI layer (null in headless mode)
+            this.ui = null;
+        }
+
+        /**
+         * Peer connection of the current direct call (first peer in a group call)
+         */
+        get peerConnection() {
+            const peer = this.getPrimaryPeer();
+            return peer ? peer.pc : null;
+        }
+
+        /**
+         * Remote stream of the current direct call (first peer in a group call)
+         */
+        get remoteStream() {
+            const peer = this.getPrimaryPeer();
+            return peer ? peer.remoteStream : null;
+        }
+
+        /**
+         * Current call state: idle, calling, ringing, connecting, connected, held or ended
+         */
+        get callStatus() {
+            return this.callState.state;
+        }
+
+        getPrimaryPeer() {
+            return this.peers.get(this.remoteUser) || this.peers.values().next().value || null;
+        }
+
+        /**
+         * Initialize VoiceLink with configuration
+         * @param {Object} config - Configuration object
+         * @param {string} config.supabaseUrl - Supabase project URL (not needed with a custom transport)
+         * @param {string} config.supabaseKey - Supabase anon key (not needed with a custom transport)
+         * @param {Object} config.supabaseClient - Optional existing Supabase client, to share the host's Supabase Auth session
+         * @param {string|Function} config.accessToken - Optional JWT from the host app, or an async function returning a fresh one
+         * @param {string} config.currentUser - Current user's username (with Supabase, optional and checked against the session)
+         * @param {string} config.friendUser - Optional default contact for the call button
+         * @param {SignalingTransport} config.transport - Optional transport (default: Supabase)
+         * @param {number} config.maxGroupSize - Optional group call limit including yourself (default: 6)
+         * @param {number} config.ringTimeout - Optional ms before an unanswered call is missed (default: 45000, 0 rings forever)
+         * @param {string} config.buttonSelector - Optional button selector (default: #voice-call)
+         * @param {boolean} config.headless - Optional; skip the built-in button, overlays and sounds
+         * @param {Object[]} config.iceServers - Optional STUN/TURN servers (default: Google STUN)
+         * @param {Function} config.iceServerProvider - Optional async (username, transport) => extra ICE servers, called before each call
+         * @param {boolean} config.relayOnly - Optional; only connect through TURN relays
+         * @param {number} config.statsInterval - Optional ms between connection quality samples (default: 2000, 0 disables)
+         * @param {string} config.recording - Optional 'always', 'ask' or 'off' (default: 'always')
+         * @param {boolean} config.stereoRecording - Optional; record the caller on the left channel and the callee on the right
+         * @param {number} config.recordingRetentionDays - Optional; delete this user's recordings older than this on init
+         * @param {number} config.awayAfter - Optional ms without input before this tab counts as away (default: 300000, 0 disables)
+         */
+        async init(config) {
+            if (!config.transport && !config.supabaseClient && (!config.supabaseUrl || !config.supabaseKey)) {
+                throw new Error('VoiceLink: Missing required configuration parameters');
+            }
+
+            if (config.recording !== undefined && !RECORDING_MODES.includes(config.recording)) {
+                throw new Error(`VoiceLink: Unknown recording mode "${config.recording}"`);
+            }
+
+            this.inputDeviceId = config.inputDeviceId || null;
+            this.outputDeviceId = config.outputDeviceId || null;
+            
+            // Initialize signaling transport, defaulting to Supabase; a host
+            // JWT is sent instead of the anon key on every request
+            const accessToken = typeof config.accessToken === 'function'
+                ? config.accessToken
+                : async () => config.accessToken;
+            this.transport = config.transport || new SupabaseTransport(config.supabaseClient ||
+                window.supabase.createClient(config.supabaseUrl, config.supabaseKey,
+                    config.accessToken ? { accessToken } : undefined)
+            );
+            this.supabase = this.transport.client || null;
+
+            // Who we are comes from the session, not from the page
+            const sessionUser = await this.transport.getSessionUsername();
+            if (sessionUser && config.currentUser && sessionUser !== config.currentUser) {
+                throw new Error(`VoiceLink: Signed in as "${sessionUser}", not "${config.currentUser}"`);
+            }
+            if (!sessionUser && !config.currentUser) {
+                throw new Error('VoiceLink: Missing required configuration parameters');
+            }
+
+            this.config = { ...config, currentUser: sessionUser || config.currentUser };
+            await this.transport.connect(this.config.currentUser);
+            
+            // Register user and update online status
+            await this.registerUser();
+            
+            // Set up real-time subscriptions
+            await this.setupRealtimeSubscriptions();
+            
+            // Set up the default UI unless the host app brings its own
+            if (hasDOM && !config.headless) {
+                this.ui = new DefaultUI(this);
+                await this.ui.mount();
+            }
+            
+            // Go online alongside the user's other tabs and devices, and
+            // keep last_seen fresh
+            await this.joinPresence();
+            this.startHeartbeat();
+
+            // Finish recording uploads an earlier page left behind, then
+            // drop recordings past the retention period
+            this.resumeRecordingUploads().then(() => this.applyRecordingRetention());
+            
+            // Clean up on page unload; pagehide also fires on mobile and when
+            // the page goes into the back/forward cache
+            if (typeof window.addEventListener === 'function') {
+                this.pageHideHandler = () => {
+                    this.leavePresence();
+                    this.cleanup('unload');
+                };
+                this.pageShowHandler = event => {
+                    if (event.persisted) this.joinPresence();
+                };
+                window.addEventListener('pagehide', this.pageHideHandler);
+                window.addEventListener('pageshow', this.pageShowHandler);
+            }
+
+            // Fall back to the default devices when a headset is unplugged
+            if (typeof navigator !== 'undefined' && navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+                this.deviceChangeHandler = () => this.handleDeviceChange();
+                navigator.mediaDevices.addEventListener('devicechange', this.deviceChangeHandler);
+            }
+            
+            console.log('VoiceLink initialized successfully');
+        }
+
+        /**
+         * Register user in database; joinPresence sets the status
+         */
+        async registerUser() {
+            try {
+                await this.transport.upsertUser({
+                    username: this.config.currentUser,
+                    last_seen: new Date().toISOString()
+                });
+            } catch (error) {
+                this.reportError('registration', 'Error registering user', error);
+            }
+        }
+
+        /**
+         * Set up real-time subscriptions for calls and signaling
+         */
+        async setupRealtimeSubscriptions() {
+            // Subscribe to calls for incoming calls and status updates
+            this.unsubscribers.push(this.transport.subscribeCalls(this.config.currentUser, {
+                onInsert: call => this.handleIncomingCall(call),
+                onUpdate: call => this.handleCallStatusUpdate(call)
+            }));
+
+            // Subscribe to group call invitations
+            this.unsubscribers.push(this.transport.subscribeInvitations(this.config.currentUser, participant => {
+                this.handleGroupInvite(participant);
+            }));
+
+            // Subscribe to signaling messages for WebRTC signals
+            this.unsubscribers.push(this.transport.subscribeSignals(this.config.currentUser, signal => {
+                this.handleSignal(signal);
+            }));
+
+            // Subscribe to the default contact's status changes
+            if (this.config.friendUser) {
+                this.unsubscribers.push(this.watchPresence(this.config.friendUser));
+            }
+        }
+
+        /**
+         * Watch a contact's presence status
+         *
+         * Every watched contact also produces 'presence' events.
+         * @param {string} username - Contact to watch
+         * @param {Function} [callback] - Called with { username, status, is_online, is_busy, last_seen } on each change
+         * @returns {Function} Unsubscribe function
+         */
+        watchPresence(username, callback = () => {}) {
+            let watcher = this.presenceWatchers.get(username);
+
+            // One set of transport subscriptions per contact, shared by all callbacks
+            if (!watcher) {
+                watcher = { callbacks: new Set(), unsubscribe: null };
+                const report = user => {
+                    if (user) watcher.callbacks.forEach(cb => cb(user));
+                };
+
+                const offRow = this.transport.subscribePresence(username, user => {
+                    report(this.handleUserStatusChange(user));
+                });
+                let offChannel = () => {};
+                try {
+                    offChannel = this.transport.subscribePresenceState(username, states => {
+                        report(this.handlePresenceState(username, states));
+                    });
+                } catch (error) {
+                    console.warn('VoiceLink: No presence channel, following the users table only:', error.message);
+                }
+
+                watcher.unsubscribe = () => {
+                    offRow();
+                    offChannel();
+                };
+                this.presenceWatchers.set(username, watcher);
+            }
+
+            watcher.callbacks.add(callback);
+
+            return () => {
+                watcher.callbacks.delete(callback);
+                if (watcher.callbacks.size === 0 && this.presenceWatchers.get(username) === watcher) {
+                    watcher.unsubscribe();
+                    this.presenceWatchers.delete(username);
+                    this.knownPresence.delete(username);
+                }
+            };
+        }
+
+        /**
+         * Check if friend is online and available
+         */
+        async checkFriendStatus() {
+            return this.getUserStatus(this.config.friendUser);
+        }
+
+        /**
+         * Check if a contact is online and available
+         *
+         * A watched contact's presence channel answers without a round trip
+         * (and knows about closed tabs before their row does).
+         * @param {string} username - Contact's username
+         * @returns {Promise<Object>} { is_online, is_busy, status, last_seen }
+         */
+        async getUserStatus(username) {
+            const known = this.knownPresence.get(username);
+            if (known && known.live) {
+                return this.toUserStatus(username, known.status, known.lastSeen);
+            }
+
+            try {
+                const user = await this.transport.getUser(username);
+                return { ...user, status: this.statusOfRow(user) };
+            } catch (error) {
+                console.error('Error checking user status:', error);
+                return { is_online: false, is_busy: false, status: 'offline', last_seen: null };
+            }
+        }
+
+        /**
+         * Call a contact
+         * @param {string} username - Contact's username
+         * @param {Object} options - Optional { video: true } for a video call
+         */
+        async call(username, options = {}) {
+            return this.initiateCall(username, options);
+        }
+
+        /**
+         * Initiate a call
+         * @param {string} username - Contact to call (default: config.friendUser)
+         * @param {Object} options - Optional { video: true } for a video call
+         */
+        async initiateCall(username = this.config.friendUser, options = {}) {
+            if (!username || username === this.config.currentUser) {
+                console.error('VoiceLink: No valid contact to call');
+                return;
+            }
+
+            // They are already calling us; answer instead of calling back
+            if (this.isRingingFrom(username)) {
+                await this.acceptCall(options);
+                return;
+            }
+
+            if (this.callStatus !== 'idle') {
+                console.log('Already in a call');
+                return;
+            }
+
+            // Check if friend is online
+            const friendStatus = await this.getUserStatus(username);
+
+            // They called us while we were checking
+            if (this.isRingingFrom(username)) {
+                await this.acceptCall(options);
+                return;
+            }
+
+            if (this.callStatus !== 'idle' || this.dialing) {
+                console.log('Already in a call');
+                return;
+            }
+            
+            if (!friendStatus.is_online) {
+                this.notify('User is offline', 'error');
+                return;
+            }
+
+            // A busy contact still gets the call: they answer with call waiting or 'busy'
+
+            // Until our call row exists, a call from the same contact is held back
+            this.dialing = username;
+
+            try {
+                // Show as in a call on every tab and device
+                this.refreshPresence();
+                
+                this.remoteUser = username;
+                this.callMedia = options.video ? 'video' : 'audio';
+
+                await this.refreshIceServers();
+
+                // Get or create room
+                this.currentRoomId = await this.transport.getOrCreateRoom(
+                    this.config.currentUser,
+                    username
+                );
+
+                // Create call record
+                const callData = await this.transport.createCall({
+                    room_id: this.currentRoomId,
+                    caller_username: this.config.currentUser,
+                    receiver_username: username,
+                    media_type: this.callMedia,
+                    call_status: 'calling'
+                });
+
+                this.currentCallId = callData.id;
+                this.isInitiator = true;
+                this.setCallStatus('calling');
+                this.startRingTimer(() => this.handleUnansweredCall(callData.id));
+
+                // The contact called us while we were dialing
+                const crossingCall = this.crossingCall;
+                this.dialing = null;
+                this.crossingCall = null;
+                if (crossingCall) {
+                    await this.handleCrossingCall(crossingCall);
+                    if (!this.isInitiator) return; // Their call won and has been answered
+                }
+
+                // Set up WebRTC
+                await this.setupWebRTC();
+
+            } catch (error) {
+                this.reportError('call', 'Error initiating call', error);
+                this.notify('Failed to initiate call', 'error');
+                await this.endCall('failed');
+            }
+        }
+
+        /**
+         * Start a group call with several contacts
+         *
+         * Every pair of participants gets its own peer connection; within a
+         * pair, the participant with the lower username sends the offer.
+         *
+         * @param {string[]} usernames - Contacts to invite
+         * @param {Object} options - Optional { roomId } to attach the call to a room
+         */
+        async callGroup(usernames, options = {}) {
+            const invitees = [...new Set(usernames)].filter(u => u && u !== this.config.currentUser);
+            const maxGroupSize = this.config.maxGroupSize || 6;
+
+            if (invitees.length === 0) {
+                console.error('VoiceLink: No valid contacts to call');
+                return;
+            }
+
+            if (invitees.length + 1 > maxGroupSize) {
+                this.notify(`Group calls are limited to ${maxGroupSize} people`, 'error');
+                return;
+            }
+
+            if (this.callStatus !== 'idle') {
+                console.log('Already in a call');
+                return;
+            }
+
+            try {
+                const callData = await this.transport.createCall({
+                    room_id: options.roomId || null,
+                    caller_username: this.config.currentUser,
+                    receiver_username: null,
+                    is_group: true,
+                    call_status: 'calling'
+                });
+
+                this.currentCallId = callData.id;
+                this.currentRoomId = callData.room_id;
+                this.isInitiator = true;
+                this.isGroup = true;
+                this.setCallStatus('calling');
+
+                await this.refreshIceServers();
+                if (!(await this.setupLocalMedia())) return;
+                this.watchParticipants();
+
+                const now = new Date().toISOString();
+                const rows = [
+                    { call_id: this.currentCallId, username: this.config.currentUser, invited_by: this.config.currentUser, status: 'joined', joined_at: now },
+                    ...invitees.map(username => ({
+                        call_id: this.currentCallId,
+                        username,
+                        invited_by: this.config.currentUser,
+                        status: 'invited'
+                    }))
+                ];
+                rows.forEach(row => this.participants.set(row.username, row));
+
+                await this.transport.addParticipants(rows);
+                this.hasJoined = true;
+                this.startRingTimer(() => this.expireInvitations(callData.id, invitees));
+
+                // Offers from invitees can only arrive once they join
+                this.replayPendingSignals();
+                this.emit('participantschange', { callId: this.currentCallId, participants: this.getParticipants() });
+
+            } catch (error) {
+                this.reportError('call', 'Error starting group call', error);
+                this.notify('Failed to start group call', 'error');
+                await this.endCall('failed');
+            }
+        }
+
+        /**
+         * Invite more contacts into the current group call
+         * @param {string[]} usernames - Contacts to invite
+         */
+        async inviteToCall(usernames) {
+            if (!this.isGroup || !this.hasJoined) return;
+
+            const maxGroupSize = this.config.maxGroupSize || 6;
+            const invitees = usernames.filter(u => u !== this.config.currentUser && !this.participants.has(u));
+            const active = [...this.participants.values()].filter(p => p.status === 'joined' || p.status === 'invited');
+
+            if (active.length + invitees.length > maxGroupSize) {
+                this.notify(`Group calls are limited to ${maxGroupSize} people`, 'error');
+                return;
+            }
+
+            try {
+                await this.transport.addParticipants(invitees.map(username => ({
+                    call_id: this.currentCallId,
+                    username,
+                    invited_by: this.config.currentUser,
+                    status: 'invited'
+                })));
+
+                const callId = this.currentCallId;
+                this.startRingTimer(() => this.expireInvitations(callId, invitees));
+            } catch (error) {
+                this.reportError('call', 'Error inviting participants', error);
+            }
+        }
+
+        /**
+         * Subscribe to participant changes of the current group call
+         */
+        watchParticipants() {
+            if (this.participantsUnsubscribe) return;
+
+            this.participantsUnsubscribe = this.transport.subscribeParticipants(this.currentCallId, participant => {
+                this.handleParticipantChange(participant);
+            });
+        }
+
+        /**
+         * Handle an invitation to a group call
+         */
+        async handleGroupInvite(participant) {
+            if (participant.username !== this.config.currentUser || participant.status !== 'invited') return;
+
+            // Only one of the user's tabs rings
+            if (this.tabs && !this.tabs.ownsIncoming()) return;
+
+            // Check if already busy
+            if (this.callStatus !== 'idle' || this.isDoNotDisturb()) {
+                try {
+                    await this.transport.updateParticipant(participant.call_id, participant.username, { status: 'busy' });
+                } catch (error) {
+                    console.error('Error updating participant status:', error);
+                }
+                return;
+            }
+
+            this.currentCallId = participant.call_id;
+            this.remoteUser = participant.invited_by;
+            this.isInitiator = false;
+            this.isGroup = true;
+            this.setCallStatus('ringing');
+            this.startRingTimer(() => this.handleUnansweredCall(participant.call_id), RING_TIMEOUT_GRACE);
+
+            // Track the call so a cancelled invite stops ringing
+            this.watchParticipants();
+
+            this.emit('incoming', {
+                callId: participant.call_id,
+                from: participant.invited_by,
+                video: false,
+                isGroup: true
+            });
+        }
+
+        /**
+         * Join the group call we were invited to
+         */
+        async joinGroupCall() {
+            if (!(await this.setupLocalMedia())) return;
+
+            const participants = await this.transport.getParticipants(this.currentCallId);
+            participants.forEach(p => this.participants.set(p.username, p));
+
+            await this.transport.updateParticipant(this.currentCallId, this.config.currentUser, {
+                status: 'joined',
+                joined_at: new Date().toISOString()
+            });
+            this.hasJoined = true;
+
+            // Pick up offers from participants that are already connecting to us
+            await this.loadStoredSignals();
+            this.replayPendingSignals();
+
+            // Connect to everyone already in the call (the map is live, so joins
+            // that raced with ours are included)
+            for (const participant of [...this.participants.values()]) {
+                if (participant.status === 'joined') {
+                    await this.connectToParticipant(participant.username);
+                }
+            }
+        }
+
+        /**
+         * Open the mesh link to a joined participant if this side is the offerer
+         */
+        async connectToParticipant(username) {
+            if (username === this.config.currentUser || !this.hasJoined) return;
+            if (this.peers.has(username) || this.config.currentUser > username) return;
+
+            this.createPeer(username, true);
+        }
+
+        /**
+         * Handle a participant row change of the current group call
+         */
+        async handleParticipantChange(participant) {
+            if (participant.call_id !== this.currentCallId) return;
+
+            const previous = this.participants.get(participant.username);
+            this.participants.set(participant.username, participant);
+
+            if (participant.username === this.config.currentUser) {
+                // The caller's ring timeout gave up on us
+                if (participant.status === 'missed' && this.callStatus === 'ringing') {
+                    this.cleanup('missed');
+                }
+                return;
+            }
+
+            const wasJoined = previous && previous.status === 'joined';
+
+            if (participant.status === 'joined' && !wasJoined) {
+                if (this.callStatus === 'calling') {
+                    this.setCallStatus('connecting');
+                }
+                this.emit('participantjoined', { callId: this.currentCallId, username: participant.username });
+                await this.connectToParticipant(participant.username);
+            } else if (['left', 'declined', 'busy', 'missed'].includes(participant.status) && (!previous || previous.status !== participant.status)) {
+                this.removePeer(participant.username);
+                if (wasJoined) {
+                    this.emit('participantleft', { callId: this.currentCallId, username: participant.username });
+                }
+            }
+
+            this.emit('participantschange', { callId: this.currentCallId, participants: this.getParticipants() });
+
+            // End once nobody else is in the call or still being invited
+            if (this.hasJoined) {
+                const others = [...this.participants.values()].filter(p => p.username !== this.config.currentUser);
+                const remaining = others.filter(p => p.status === 'joined' || p.status === 'invited');
+
+                if (others.length > 0 && remaining.length === 0) {
+                    if (!this.callConnected) {
+                        this.notify('No one joined the call', 'info');
+                    }
+                    await this.endCall(others.every(p => p.status === 'missed') ? 'missed' : 'hangup');
+                }
+            }
+        }
+
+        /**
+         * Participants of the current call
+         * @returns {Object[]} Rows of { username, status }
+         */
+        getParticipants() {
+            if (!this.isGroup) {
+                return this.remoteUser ? [{ username: this.remoteUser, status: this.callConnected ? 'joined' : 'invited' }] : [];
+            }
+
+            return [...this.participants.values()].map(p => ({ username: p.username, status: p.status }));
+        }
+
+        /**
+         * Set up WebRTC peer connection
+         */
+        async setupWebRTC() {
+            try {
+                if (!(await this.setupLocalMedia())) return;
+
+                // Create peer connection; the caller's offer goes out on negotiationneeded
+                this.createPeer(this.remoteUser, this.isInitiator);
+
+                // Callee: pick up signals the caller stored before we answered
+                if (!this.isInitiator) {
+                    await this.loadStoredSignals();
+                }
+
+                // Replay signals that arrived before the connection existed
+                this.replayPendingSignals();
+
+            } catch (error) {
+                this.reportError('media', 'Error setting up WebRTC', error);
+                this.notify('Failed to access microphone', 'error');
+                await this.endCall('failed');
+            }
+        }
+
+        /**
+         * Capture the microphone (and camera for video calls) once per call
+         * @returns {boolean} False if the call ended while waiting for the devices
+         */
+        async setupLocalMedia() {
+            if (this.localStream) return true;
+
+            const callId = this.currentCallId;
+            const video = this.callMedia === 'video';
+
+            // Get user media with audio constraints for noise suppression and echo cancellation
+            const stream = await navigator.mediaDevices.getUserMedia({
+                audio: this.getAudioConstraints(),
+                video: video ? this.getVideoConstraints() : false
+            });
+
+            // Declined, busy or hung up while the permission prompt was open
+            if (this.currentCallId !== callId) {
+                stream.getTracks().forEach(track => track.stop());
+                return false;
+            }
+
+            this.localStream = stream;
+            this.isCameraOn = video;
+            return true;
+        }
+
+        /**
+         * Microphone constraints, on the chosen input if there is one
+         * @param {boolean} exact - Fail instead of falling back when the chosen input is missing
+         */
+        getAudioConstraints(exact = false) {
+            const constraints = {
+                echoCancellation: true,
+                noiseSuppression: true,
+                autoGainControl: true
+            };
+
+            if (this.inputDeviceId) {
+                constraints.deviceId = exact ? { exact: this.inputDeviceId } : { ideal: this.inputDeviceId };
+            }
+
+            return constraints;
+        }
+
+        /**
+         * Camera constraints for video calls
+         */
+        getVideoConstraints() {
+            return {
+                width: { ideal: 1280 },
+                height: { ideal: 720 },
+                facingMode: 'user'
+            };
+        }
+
+        /**
+         * Turn the camera on, upgrading a voice call to video if needed
+         *
+         * The new track is added to every peer connection and negotiated
+         * with a fresh offer through sendSignal.
+         */
+        async enableVideo() {
+            if (!this.localStream || this.localStream.getVideoTracks().length > 0) return;
+
+            try {
+                const cameraStream = await navigator.mediaDevices.getUserMedia({
+                    video: this.getVideoConstraints()
+                });
+                const track = cameraStream.getVideoTracks()[0];
+                this.localStream.addTrack(track);
+                this.isCameraOn = true;
+
+                for (const peer of this.peers.values()) {
+                    peer.addTrack(track, this.localStream);
+                }
+
+                if (this.callMedia !== 'video' && !this.isGroup) {
+                    this.callMedia = 'video';
+                    await this.transport.updateCall(this.currentCallId, { media_type: 'video' })
+                        .catch(error => console.error('Error updating call media:', error));
+                }
+
+                this.emitMediaChange();
+            } catch (error) {
+                this.reportError('media', 'Error enabling video', error);
+                this.notify('Failed to access camera', 'error');
+            }
+        }
+
+        /**
+         * List microphones and speakers
+         *
+         * Labels stay empty until the page has had microphone permission, and
+         * speakers are only listed where the browser can route audio to them.
+         * @returns {Promise<{inputs: Array, outputs: Array, inputId: string|null, outputId: string|null}>}
+         */
+        async listDevices() {
+            const devices = await navigator.mediaDevices.enumerateDevices();
+            const ofKind = kind => devices
+                .filter(device => device.kind === kind)
+                .map(({ deviceId, label }) => ({ deviceId, label }));
+
+            // The live track knows which microphone "default" resolved to
+            const track = this.localStream && this.localStream.getAudioTracks()[0];
+            const settings = track && track.getSettings ? track.getSettings() : {};
+
+            return {
+                inputs: ofKind('audioinput'),
+                outputs: canSetSinkId ? ofKind('audiooutput') : [],
+                inputId: settings.deviceId || this.inputDeviceId,
+                outputId: this.outputDeviceId
+            };
+        }
+
+        /**
+         * Switch the microphone; mid-call the new track replaces the old one
+         * on every connection without renegotiating
+         * @param {string} deviceId - An input from listDevices(), or null for the default
+         */
+        async setInputDevice(deviceId) {
+            this.inputDeviceId = deviceId || null;
+
+            const localStream = this.localStream;
+            if (localStream) {
+                try {
+                    const stream = await navigator.mediaDevices.getUserMedia({ audio: this.getAudioConstraints(true) });
+                    const track = stream.getAudioTracks()[0];
+
+                    // The call ended while the device was opening
+                    if (this.localStream !== localStream) {
+                        track.stop();
+                        return;
+                    }
+
+                    track.enabled = !this.isMuted && !this.holdingLocally;
+                    await Promise.all([...this.peers.values()].map(peer => peer.replaceTrack('audio', track)));
+
+                    localStream.getAudioTracks().forEach(previous => {
+                        localStream.removeTrack(previous);
+                        previous.stop();
+                    });
+                    localStream.addTrack(track);
+                    this.updateRecordingSource(this.config.currentUser, localStream);
+                } catch (error) {
+                    this.reportError('media', 'Error switching microphone', error);
+                    this.notify('Failed to switch microphone', 'error');
+                }
+            }
+
+            await this.emitDeviceChange();
+        }
+
+        /**
+         * Play remote audio through another speaker or headset
+         * @param {string} deviceId - An output from listDevices(), or null for the default
+         */
+        async setOutputDevice(deviceId) {
+            if (!canSetSinkId) {
+                console.warn('VoiceLink: This browser cannot choose the audio output');
+                return;
+            }
+
+            this.outputDeviceId = deviceId || null;
+
+            try {
+                await Promise.all([...this.peers.values()]
+                    .filter(peer => peer.audioElement)
+                    .map(peer => peer.audioElement.setSinkId(deviceId || '')));
+            } catch (error) {
+                this.reportError('media', 'Error switching speaker', error);
+                this.notify('Failed to switch speaker', 'error');
+            }
+
+            await this.emitDeviceChange();
+        }
+
+        /**
+         * Follow devices being plugged in and out, falling back to the
+         * defaults when the chosen microphone or speaker disappears
+         */
+        async handleDeviceChange() {
+            try {
+                const { inputs, outputs } = await this.listDevices();
+                const track = this.localStream && this.localStream.getAudioTracks()[0];
+                const inputGone = this.inputDeviceId && !inputs.some(device => device.deviceId === this.inputDeviceId);
+                const outputGone = this.outputDeviceId && !outputs.some(device => device.deviceId === this.outputDeviceId);
+
+                if (inputGone || (track && track.readyState === 'ended')) {
+                    if (track) {
+                        this.notify('Microphone disconnected, switched to the default one', 'info');
+                    }
+                    await this.setInputDevice(null);
+                }
+
+                if (outputGone) {
+                    if (this.peers.size > 0) {
+                        this.notify('Speaker disconnected, switched to the default one', 'info');
+                    }
+                    await this.setOutputDevice(null);
+                }
+
+                if (!inputGone && !outputGone) {
+                    await this.emitDeviceChange();
+                }
+            } catch (error) {
+                console.error('Error handling device change:', error);
+            }
+        }
+
+        /**
+         * Tell listeners the device list or selection changed
+         */
+        async emitDeviceChange() {
+            try {
+                this.emit('devicechange', await this.listDevices());
+            } catch (error) {
+                console.error('Error listing devices:', error);
+            }
+        }
+
+        /**
+         * ICE configuration for new peer connections
+         */
+        getRTCConfiguration() {
+            const configuration = {
+                iceServers: [...(this.config.iceServers || DEFAULT_ICE_SERVERS), ...this.providedIceServers]
+            };
+
+            if (this.config.relayOnly) {
+                configuration.iceTransportPolicy = 'relay';
+            }
+
+            return configuration;
+        }
+
+        /**
+         * Fetch fresh ICE servers from config.iceServerProvider
+         *
+         * TURN credentials are short-lived, so this runs before every call.
+         * On failure the call goes ahead with config.iceServers alone.
+         */
+        async refreshIceServers() {
+            if (!this.config.iceServerProvider) return;
+
+            try {
+                this.providedIceServers = await this.config.iceServerProvider(this.config.currentUser, this.transport) || [];
+            } catch (error) {
+                this.providedIceServers = [];
+                this.reportError('signaling', 'Error fetching ICE servers', error);
+            }
+        }
+
+        /**
+         * Check the microphone, speaker and network before calling
+         *
+         * Works before init() too, against the default STUN servers.
+         * @param {Object} options - Optional { microphone, tone, network } (false skips a check),
+         *   { micDuration, toneDuration, timeout } in ms, iceServers to check instead of the
+         *   configured ones, overlay: true for the built-in progress overlay, and onProgress(update)
+         * @returns {Promise<Object>} { ok, microphone, output, network, duration }
+         */
+        async preflight(options = {}) {
+            if (this.config) {
+                await this.refreshIceServers();
+            }
+
+            let configuration = { iceServers: DEFAULT_ICE_SERVERS };
+            if (options.iceServers) {
+                configuration = { iceServers: options.iceServers };
+            } else if (this.config) {
+                configuration = this.getRTCConfiguration();
+            }
+
+            const ui = options.overlay && hasDOM ? (this.ui || new DefaultUI(this)) : null;
+            if (ui) {
+                ui.showPreflightOverlay();
+            }
+
+            const result = await new PreflightTest(this, configuration, {
+                ...options,
+                onProgress: update => {
+                    if (ui) ui.updatePreflightOverlay(update);
+                    if (options.onProgress) options.onProgress(update);
+                }
+            }).run();
+
+            if (ui) {
+                ui.showPreflightResult(result);
+            }
+            return result;
+        }
+
+        /**
+         * Create a peer session for a remote participant
+         * @param {string} username - Remote participant
+         * @param {boolean} initiator - Whether this side sends the offer
+         */
+        createPeer(username, initiator) {
+            const peer = new PeerSession(this, username, initiator);
+            peer.open(this.getRTCConfiguration());
+            this.peers.set(username, peer);
+            return peer;
+        }
+
+        /**
+         * Close and forget a peer session
+         */
+        removePeer(username) {
+            const peer = this.peers.get(username);
+            if (peer) {
+                peer.close();
+                this.peers.delete(username);
+                this.peerRecordingConsent.delete(username);
+                this.updateRecordingSource(username, null);
+                this.emit('remotestream', { username, stream: null });
+                this.updateRecording();
+            }
+        }
+
+        /**
+         * React to a peer's connection state
+         */
+        handlePeerStateChange(peer) {
+            const state = peer.pc.connectionState;
+            console.log(`Connection state (${peer.username}):`, state);
+
+            // A call on hold behind the current one waits until it is back
+            if (this.peers.get(peer.username) !== peer) return;
+
+            if (state === 'connected') {
+                peer.clearReconnect();
+                peer.reconnectAttempts = 0;
+                if (!this.callConnected) {
+                    this.callConnected = true;
+                    this.onCallConnected();
+                } else if (this.recordingConsent !== null && !peer.sentRecordingConsent) {
+                    // Someone new in a group call: recording waits for their answer too
+                    this.sendRecordingConsent(peer);
+                    this.updateRecording();
+                }
+            } else if (state === 'failed') {
+                this.handleConnectionFailure(peer);
+            } else if (state === 'disconnected') {
+                this.handleDisconnection(peer);
+            }
+        }
+
+        /**
+         * Send signaling data through the transport
+         * @param {string} type - Signal type
+         * @param {Object} data - Signal payload
+         * @param {string} to - Receiver (default: the other party of a direct call)
+         * @param {string} callId - Call the signal belongs to (default: the current call)
+         */
+        async sendSignal(type, data, to = this.remoteUser, callId = this.currentCallId) {
+            try {
+                await this.transport.sendSignal({
+                    call_id: callId,
+                    sender_username: this.config.currentUser,
+                    receiver_username: to,
+                    signal_type: type,
+                    // Plain JSON so every transport can serialize it
+                    signal_data: JSON.parse(JSON.stringify(data))
+                });
+            } catch (error) {
+                this.reportError('signaling', 'Error sending signal', error);
+            }
+        }
+
+        /**
+         * Handle incoming signals
+         *
+         * Signals that arrive before the peer connection exists (the offer and
+         * early ICE candidates reach the callee while it is still ringing) are
+         * queued per call ID and replayed in order by replayPendingSignals.
+         * Only the current and the waiting call queue; signals for any other
+         * call (late candidates of an ended one, stray senders) are dropped.
+         */
+        handleSignal(signal) {
+            if (signal.id && this.handledSignalIds.has(signal.id)) return Promise.resolve();
+            if (signal.id) this.handledSignalIds.add(signal.id);
+
+            // A held call still renegotiates and restarts ICE in the background
+            if (this.heldCall && signal.call_id === this.heldCall.currentCallId) {
+                const peer = this.heldCall.peers.get(signal.sender_username);
+                return peer ? peer.enqueue(signal) : Promise.resolve();
+            }
+
+            if (!this.signalsReady || signal.call_id !== this.currentCallId) {
+                const waitingCallId = this.waitingCall && this.waitingCall.id;
+                if (signal.call_id !== this.currentCallId && signal.call_id !== waitingCallId) {
+                    return Promise.resolve();
+                }
+
+                if (!this.pendingSignals.has(signal.call_id)) {
+                    this.pendingSignals.set(signal.call_id, []);
+                }
+                this.pendingSignals.get(signal.call_id).push(signal);
+                return Promise.resolve();
+            }
+
+            return this.routeSignal(signal);
+        }
+
+        /**
+         * Hand a signal to the peer session of its sender
+         */
+        routeSignal(signal) {
+            if (signal.signal_type === 'recording-consent') {
+                this.handleRecordingConsent(signal.sender_username, signal.signal_data);
+                return Promise.resolve();
+            }
+
+            let peer = this.peers.get(signal.sender_username);
+
+            // Group participants that offer to us first get a session on demand
+            if (!peer && this.isGroup && this.participants.has(signal.sender_username)) {
+                peer = this.createPeer(signal.sender_username, false);
+            }
+
+            if (!peer) return Promise.resolve();
+            return peer.enqueue(signal);
+        }
+
+        /**
+         * Fetch signals already stored for the current call, so a callee that
+         * answers late still sees the offer it missed
+         */
+        async loadStoredSignals() {
+            try {
+                const stored = await this.transport.getSignals(this.currentCallId, this.config.currentUser);
+                const queued = this.pendingSignals.get(this.currentCallId) || [];
+                const storedIds = new Set(stored.map(signal => signal.id));
+
+                stored.forEach(signal => {
+                    if (signal.id) this.handledSignalIds.add(signal.id);
+                });
+
+                // Stored rows come first; anything queued but not yet stored is newer
+                this.pendingSignals.set(this.currentCallId, [
+                    ...stored,
+                    ...queued.filter(signal => !storedIds.has(signal.id))
+                ]);
+            } catch (error) {
+                console.error('Error loading stored signals:', error);
+            }
+        }
+
+        /**
+         * Replay queued signals for the current call in arrival order
+         */
+        replayPendingSignals() {
+            const queued = this.pendingSignals.get(this.currentCallId) || [];
+            this.pendingSignals.delete(this.currentCallId);
+            this.signalsReady = true;
+
+            queued.forEach(signal => this.routeSignal(signal));
+        }
+
+        /**
+         * Handle incoming call
+         */
+        async handleIncomingCall(call) {
+            if (call.caller_username === this.config.currentUser) return;
+            if (call.receiver_username !== this.config.currentUser) return;
+
+            // Only one of the user's tabs rings: the one in a call, else the one used last
+            if (this.tabs && !this.tabs.ownsIncoming()) return;
+
+            // We are calling them too: merge the two calls instead of both going busy
+            if (this.dialing === call.caller_username) {
+                this.crossingCall = call;
+                return;
+            }
+            if (this.isCrossingCall(call)) {
+                await this.handleCrossingCall(call);
+                return;
+            }
+
+            // Do not disturb turns every call away as busy
+            const doNotDisturb = this.isDoNotDisturb();
+
+            // A second caller during a direct call waits instead of getting busy
+            if (this.canWaitCall() && !doNotDisturb) {
+                this.waitingCall = call;
+                await this.transport.updateCall(call.id, { call_status: 'ringing' })
+                    .catch(error => console.error('Error updating call status:', error));
+
+                this.emit('callwaiting', {
+                    callId: call.id,
+                    from: call.caller_username,
+                    video: call.media_type === 'video'
+                });
+                return;
+            }
+
+            // Check if already busy
+            if (this.callStatus !== 'idle' || this.dialing || doNotDisturb) {
+                try {
+                    await this.transport.updateCall(call.id, { call_status: 'busy' });
+                } catch (error) {
+                    console.error('Error updating call status:', error);
+                }
+                return;
+            }
+
+            this.currentCallId = call.id;
+            this.currentRoomId = call.room_id;
+            this.remoteUser = call.caller_username;
+            this.isInitiator = false;
+            this.callMedia = call.media_type === 'video' ? 'video' : 'audio';
+
+            this.setCallStatus('ringing');
+            this.startRingTimer(() => this.handleUnansweredCall(call.id), RING_TIMEOUT_GRACE);
+
+            // Update call status to ringing
+            await this.updateCallStatus();
+
+            this.emit('incoming', {
+                callId: call.id,
+                from: call.caller_username,
+                video: this.callMedia === 'video',
+                isGroup: false
+            });
+        }
+
+        /**
+         * Whether an incoming call can wait behind the current one
+         *
+         * Only one call waits and only one is held at a time; anything beyond
+         * that gets busy.
+         */
+        canWaitCall() {
+            return !this.isGroup && ['connected', 'held'].includes(this.callStatus) &&
+                !this.waitingCall && !this.heldCall;
+        }
+
+        /**
+         * Put the current call on hold and answer the waiting one
+         *
+         * The held call comes back (and resumes) when the answered one ends.
+         * @param {Object} options - Optional { video: false } to answer with audio only
+         */
+        async answerWaitingCall(options = {}) {
+            const call = this.waitingCall;
+            if (!call) {
+                console.warn('VoiceLink: No waiting call to answer');
+                return;
+            }
+            this.waitingCall = null;
+
+            if (this.callStatus === 'connected') {
+                await this.hold();
+            }
+            if (this.qualityMonitor) {
+                this.qualityMonitor.stop();
+            }
+
+            this.heldCall = {};
+            HELD_CALL_FIELDS.forEach(field => {
+                this.heldCall[field] = this[field];
+            });
+
+            this.peers = new Map();
             this.localStream = null;
-            this.remoteStream = null;
+            this.callState = new CallStateMachine();
+            this.callConnected = false;
+            this.callStartTime = null;
+            this.isCameraOn = false;
+            this.isMuted = false;
+            this.qualityMonitor = null;
+            this.mediaRecorder = null;
+            this.recordingMixer = null;
+            this.recordingUpload = null;
+            this.recordingConsent = null;
+            this.peerRecordingConsent = new Map();
+            this.holdingLocally = false;
+            this.holdStartedAt = null;
+            this.heldDuration = 0;
+            this.signalsReady = false;
+
+            this.currentCallId = call.id;
+            this.currentRoomId = call.room_id;
+            this.remoteUser = call.caller_username;
+            this.isInitiator = false;
+            this.callMedia = call.media_type === 'video' ? 'video' : 'audio';
+
+            this.setCallStatus('ringing');
+            await this.acceptCall(options);
+        }
+
+        /**
+         * Decline the call waiting behind the current one
+         */
+        async declineWaitingCall() {
+            const call = this.waitingCall;
+            if (!call) {
+                console.warn('VoiceLink: No waiting call to decline');
+                return;
+            }
+            this.waitingCall = null;
+            this.pendingSignals.delete(call.id);
+
+            await this.transport.updateCall(call.id, { call_status: 'declined' })
+                .catch(error => console.error('Error updating call status:', error));
+
+            this.emit('callwaitingend', { callId: call.id, from: call.caller_username, reason: 'declined' });
+        }
+
+        /**
+         * Follow the waiting call's row until it is answered or declined
+         */
+        handleWaitingCallUpdate(call) {
+            const reason = ENDED_DB_STATUSES[call.call_status];
+            if (!reason) return;
+
+            this.waitingCall = null;
+            this.pendingSignals.delete(call.id);
+            if (reason === 'missed') {
+                this.notify(`Missed call from ${call.caller_username}`, 'info');
+            }
+            this.emit('callwaitingend', {
+                callId: call.id,
+                from: call.caller_username,
+                reason: reason === 'hangup' ? 'remote' : reason
+            });
+        }
+
+        /**
+         * Bring back the call that was put on hold to answer a waiting one
+         */
+        restoreHeldCall() {
+            const held = this.heldCall;
+            this.heldCall = null;
+
+            HELD_CALL_FIELDS.forEach(field => {
+                this[field] = held[field];
+            });
+            this.signalsReady = true;
+            if (this.qualityMonitor) {
+                this.qualityMonitor.start();
+            }
+
+            this.emit('callstatechange', { callId: this.currentCallId, status: this.callStatus, previous: 'idle', reason: null });
+
+            if (this.holdingLocally) {
+                this.resume();
+            }
+        }
+
+        /**
+         * Close the held call without bringing it back
+         * @param {string} reason - Why it ended, passed on to 'ended' listeners
+         */
+        dropHeldCall(reason) {
+            const held = this.heldCall;
+            this.heldCall = null;
+
+            if (held.qualityMonitor) {
+                held.qualityMonitor.stop();
+            }
+            if (held.mediaRecorder && held.mediaRecorder.state !== 'inactive') {
+                held.mediaRecorder.stop();
+            }
+            held.peers.forEach(peer => peer.close());
+            if (held.localStream) {
+                held.localStream.getTracks().forEach(track => track.stop());
+            }
+
+            this.emit('ended', {
+                callId: held.currentCallId,
+                reason,
+                duration: held.callStartTime ? Math.floor((Date.now() - held.callStartTime) / 1000) : 0,
+                with: [held.remoteUser],
+                isGroup: false
+            });
+        }
+
+        /**
+         * Hang up the held call
+         */
+        async endHeldCall() {
+            if (!this.heldCall) return;
+
+            const { currentCallId, callStartTime } = this.heldCall;
+            this.dropHeldCall('hangup');
+
+            try {
+                await this.transport.updateCall(currentCallId, {
+                    call_status: 'ended',
+                    end_time: new Date().toISOString(),
+                    duration: callStartTime ? Math.floor((Date.now() - callStartTime) / 1000) : 0
+                });
+                await this.transport.deleteSignals(currentCallId);
+            } catch (error) {
+                this.reportError('call', 'Error ending held call', error, currentCallId);
+            }
+        }
+
+        /**
+         * Whether a contact's direct call is ringing on this side
+         */
+        isRingingFrom(username) {
+            return this.callStatus === 'ringing' && !this.isGroup && this.remoteUser === username;
+        }
+
+        /**
+         * Whether an incoming call is the other half of two users calling each other at once
+         */
+        isCrossingCall(call) {
+            return !this.isGroup && this.isInitiator &&
+                ['calling', 'ringing'].includes(this.callStatus) &&
+                call.caller_username === this.remoteUser &&
+                call.room_id === this.currentRoomId;
+        }
+
+        /**
+         * Merge two calls that crossed between the same two users
+         *
+         * Both sides keep the call placed by the lower username. The winner
+         * ignores the other call; the loser drops its own call and answers
+         * the winner's, so both end up in one connected call.
+         * @param {Object} call - The other user's calls row
+         */
+        async handleCrossingCall(call) {
+            if (this.config.currentUser < call.caller_username) {
+                console.log(`Calls crossed with ${call.caller_username}; keeping ours`);
+                return;
+            }
+
+            console.log(`Calls crossed with ${call.caller_username}; answering theirs`);
+            const ownCallId = this.currentCallId;
+            const video = this.callMedia === 'video' || call.media_type === 'video';
+
+            this.peers.forEach(peer => peer.close());
+            this.peers.clear();
+
+            // Switch first so the end of our own call doesn't echo back as the current call ending;
+            // signals for their call queue up until the answer is set up
+            this.currentCallId = call.id;
+            this.currentRoomId = call.room_id;
+            this.isInitiator = false;
+            this.signalsReady = false;
+            this.callMedia = call.media_type === 'video' ? 'video' : 'audio';
+
+            try {
+                await this.transport.updateCall(ownCallId, {
+                    call_status: 'ended',
+                    end_time: new Date().toISOString()
+                });
+                await this.transport.deleteSignals(ownCallId);
+            } catch (error) {
+                console.error('Error dropping crossed call:', error);
+            }
+
+            await this.acceptCall({ video });
+        }
+
+        /**
+         * Accept incoming call
+         * @param {Object} options - Optional { video: false } to answer a video call with audio only
+         */
+        async acceptCall(options = {}) {
+            if (this.isInitiator || !this.callState.can('connecting')) {
+                console.warn(`VoiceLink: No incoming call to accept (state: ${this.callStatus})`);
+                return;
+            }
+
+            if (options.video !== undefined) {
+                this.callMedia = options.video ? 'video' : 'audio';
+            }
+
+            try {
+                this.setCallStatus('connecting');
+
+                // Update call status
+                await this.updateCallStatus();
+
+                await this.refreshIceServers();
+
+                // Set up WebRTC
+                if (this.isGroup) {
+                    await this.joinGroupCall();
+                } else {
+                    await this.setupWebRTC();
+                }
+
+            } catch (error) {
+                this.reportError('call', 'Error accepting call', error);
+                await this.endCall('failed');
+            }
+        }
+
+        /**
+         * Decline incoming call
+         */
+        async declineCall() {
+            if (this.isInitiator || this.callStatus !== 'ringing') {
+                console.warn(`VoiceLink: No incoming call to decline (state: ${this.callStatus})`);
+                return;
+            }
+
+            if (this.isGroup) {
+                try {
+                    await this.transport.updateParticipant(this.currentCallId, this.config.currentUser, { status: 'declined' });
+                } catch (error) {
+                    console.error('Error updating participant status:', error);
+                }
+            } else {
+                await this.updateCallStatus('declined');
+            }
+
+            this.cleanup('declined');
+        }
+
+        /**
+         * Handle call status updates
+         */
+        async handleCallStatusUpdate(call) {
+            if (this.waitingCall && call.id === this.waitingCall.id) {
+                this.handleWaitingCallUpdate(call);
+                return;
+            }
+
+            // The other party of the held call hung up
+            if (this.heldCall && call.id === this.heldCall.currentCallId) {
+                if (ENDED_DB_STATUSES[call.call_status]) {
+                    this.notify(`${this.heldCall.remoteUser} hung up`, 'info');
+                    this.dropHeldCall('remote');
+                }
+                return;
+            }
+
+            if (call.id !== this.currentCallId) return;
+
+            // Group calls track participants instead; only the end matters here
+            if (this.isGroup) {
+                if (call.call_status === 'ended') {
+                    await this.endCall('remote');
+                }
+                return;
+            }
+
+            let update;
+            try {
+                update = CallStateMachine.fromDbStatus(call.call_status);
+            } catch (error) {
+                console.warn(error.message);
+                return;
+            }
+
+            if (update.state === 'ended') {
+                // Our own end-of-call write echoes back here
+                if (this.isEnding) return;
+
+                if (update.reason === 'declined') {
+                    this.notify('Call declined', 'info');
+                } else if (update.reason === 'busy') {
+                    this.notify('User is busy', 'error');
+                } else if (update.reason === 'missed' && !this.isInitiator) {
+                    this.notify(`Missed call from ${this.remoteUser}`, 'info');
+                }
+                await this.endCall(update.reason === 'hangup' ? 'remote' : update.reason);
+                return;
+            }
+
+            // The other side put us on hold or took us off it
+            if (update.state === 'held' || this.callStatus === 'held') {
+                if (this.holdingLocally) return;
+
+                if (update.state === 'held' && this.callStatus === 'connected') {
+                    this.setCallStatus('held');
+                } else if (update.state === 'connecting' && this.callStatus === 'held') {
+                    this.setCallStatus('connected');
+                }
+                return;
+            }
+
+            // Our own writes echo back here; only the caller follows the callee's progress
+            if (!this.isInitiator || !this.callState.can(update.state)) return;
+
+            this.setCallStatus(update.state);
+            if (update.state === 'ringing') {
+                this.emit('ringing', { callId: call.id, to: this.remoteUser });
+            }
+        }
+
+        /**
+         * When call is connected
+         */
+        async onCallConnected() {
+            this.callStartTime = Date.now();
+            this.setCallStatus('connected');
+
+            const statsInterval = this.config.statsInterval ?? 2000;
+            if (statsInterval > 0) {
+                this.qualityMonitor = new CallQualityMonitor(this, statsInterval);
+                this.qualityMonitor.start();
+            }
+
+            this.emit('connected', {
+                callId: this.currentCallId,
+                with: this.isGroup ? this.getParticipantNames() : [this.remoteUser],
+                video: this.callMedia === 'video',
+                isGroup: this.isGroup
+            });
+
+            // Recording starts once everyone in the call agrees
+            const mode = this.config.recording || 'always';
+            if (mode === 'ask') {
+                this.emit('recordingconsent', { callId: this.currentCallId, with: [...this.peers.keys()] });
+            } else {
+                this.setRecordingConsent(mode === 'always');
+            }
+        }
+
+        /**
+         * Answer whether this side agrees to the call being recorded
+         *
+         * The answer goes to every other participant over signaling; recording
+         * runs only while this side and all of them have agreed.
+         * @param {boolean} consent - Whether to allow recording
+         */
+        setRecordingConsent(consent) {
+            if (!this.callConnected) {
+                console.warn('VoiceLink: No connected call to consent to recording for');
+                return;
+            }
+
+            this.recordingConsent = !!consent;
+            this.peers.forEach(peer => this.sendRecordingConsent(peer));
+            this.updateRecording();
+        }
+
+        /**
+         * Tell one participant this side's recording answer
+         */
+        sendRecordingConsent(peer) {
+            peer.sentRecordingConsent = true;
+            this.sendSignal('recording-consent', {
+                consent: this.recordingConsent,
+                mode: this.config.recording || 'always'
+            }, peer.username);
+        }
+
+        /**
+         * A participant answered whether they agree to recording
+         * @param {string} username - Participant
+         * @param {Object} answer - { consent, mode }
+         */
+        handleRecordingConsent(username, answer) {
+            this.peerRecordingConsent.set(username, answer);
+
+            if (!answer.consent && this.recordingConsent) {
+                this.notify(`${username} didn't agree to recording`, 'info');
+            }
+            this.updateRecording();
+        }
+
+        /**
+         * Start, pause or resume the recorder to match everyone's consent
+         */
+        updateRecording() {
+            if (!this.callConnected) return;
+
+            const agreed = this.recordingConsent === true && this.peers.size > 0 &&
+                [...this.peers.keys()].every(username => {
+                    const answer = this.peerRecordingConsent.get(username);
+                    return answer && answer.consent;
+                });
+            const wasRecording = this.isRecording();
+
+            if (agreed && !this.mediaRecorder) {
+                this.startCallRecording();
+            } else if (agreed && this.mediaRecorder.state === 'paused') {
+                this.mediaRecorder.resume();
+            } else if (!agreed && this.mediaRecorder && this.mediaRecorder.state === 'recording') {
+                this.mediaRecorder.pause();
+            }
+
+            if (this.isRecording() !== wasRecording) {
+                this.emit('recording', { callId: this.currentCallId, recording: this.isRecording() });
+            }
+        }
+
+        /**
+         * Whether the recorder is capturing the current call right now
+         */
+        isRecording() {
+            return !!this.mediaRecorder && this.mediaRecorder.state === 'recording';
+        }
+
+        /**
+         * Start call recording
+         */
+        async startCallRecording() {
+            try {
+                // Mix both sides into one track; remote audio that arrives
+                // later is wired in by updateRecordingSource
+                const mixer = new RecordingMixer(!!this.config.stereoRecording);
+                this.recordingMixer = mixer;
+                this.updateRecordingSource(this.config.currentUser, this.localStream);
+                this.peers.forEach(peer => this.updateRecordingSource(peer.username, peer.remoteStream));
+
+                this.mediaRecorder = new MediaRecorder(mixer.stream, {
+                    mimeType: 'audio/webm'
+                });
+
+                // The recorder stops after cleanup has reset the call, so the
+                // upload keeps what it needs itself
+                const upload = RecordingUpload.create(this, this.recordingStore, this.currentCallId, this.callStartTime);
+                this.recordingUpload = upload;
+
+                this.mediaRecorder.ondataavailable = (event) => {
+                    if (event.data.size > 0) {
+                        upload.add(event.data);
+                    }
+                };
+
+                this.mediaRecorder.onstop = async () => {
+                    mixer.close();
+                    await upload.finish();
+                };
+
+                // Upload segments as the call goes rather than all at the end
+                this.mediaRecorder.start(RECORDING_TIMESLICE);
+
+                // Create recording record in database, noting how each participant agreed
+                const consent = { [this.config.currentUser]: this.config.recording || 'always' };
+                this.peerRecordingConsent.forEach((answer, username) => {
+                    consent[username] = answer.mode;
+                });
+
+                await this.transport.createRecording({
+                    call_id: this.currentCallId,
+                    recorded_by: this.config.currentUser,
+                    participants: Object.keys(consent),
+                    storage_path: upload.manifestPath,
+                    recording_status: 'recording',
+                    consent
+                });
+
+            } catch (error) {
+                if (this.recordingMixer && !this.mediaRecorder) {
+                    this.recordingMixer.close();
+                    this.recordingMixer = null;
+                }
+                this.reportError('recording', 'Error starting call recording', error);
+            }
+        }
+
+        /**
+         * Wire a participant's current audio track into the recording mix
+         *
+         * In stereo mode the caller's side is on the left and the callee's
+         * on the right.
+         * @param {string} username - Participant (this user for the microphone)
+         * @param {MediaStream} stream - Their stream, or null once they are gone
+         */
+        updateRecordingSource(username, stream) {
+            if (!this.recordingMixer) return;
+
+            const isLocal = username === this.config.currentUser;
+            this.recordingMixer.connect(username, stream, isLocal === this.isInitiator ? 0 : 1);
+        }
+
+        /**
+         * Stop the recorder; the last segment and the manifest upload after
+         * the call is gone
+         */
+        stopRecording() {
+            if (this.mediaRecorder && this.mediaRecorder.state !== 'inactive') {
+                this.mediaRecorder.stop();
+            }
+        }
+
+        /**
+         * Upload the segments a closed tab or failed upload left in the
+         * recording store, and complete their recordings
+         *
+         * Recordings saved in the last few segments' time may still be going
+         * in another tab and are left for a later init.
+         */
+        async resumeRecordingUploads() {
+            try {
+                const recordings = await this.recordingStore.listRecordings();
+                const staleBefore = Date.now() - RECORDING_TIMESLICE * 3;
+
+                for (const recording of recordings) {
+                    if (recording.username !== this.config.currentUser || recording.savedAt > staleBefore) continue;
+
+                    const upload = new RecordingUpload(this, this.recordingStore, recording);
+                    const segments = await this.recordingStore.getSegments(recording.folder);
+                    segments.forEach(({ seq, blob }) => upload.pending.set(seq, blob));
+
+                    console.log(`Resuming recording upload for call ${recording.callId}`);
+                    await upload.finish();
+                }
+            } catch (error) {
+                this.reportError('recording', 'Error resuming recording uploads', error, null);
+            }
+        }
+
+        /**
+         * Play remote audio
+         * @param {PeerSession} peer - Participant whose stream arrived
+         */
+        playRemoteAudio(peer) {
+            if (!hasDOM) return;
+
+            if (!peer.audioElement) {
+                peer.audioElement = document.createElement('audio');
+                peer.audioElement.autoplay = true;
+                peer.audioElement.className = 'voicelink-remote-audio';
+                peer.audioElement.dataset.username = peer.username;
+
+                if (this.outputDeviceId && canSetSinkId) {
+                    peer.audioElement.setSinkId(this.outputDeviceId)
+                        .catch(error => console.error('Error setting audio output:', error));
+                }
+
+                // Headless mode plays from a detached element and leaves the page alone
+                if (this.ui) {
+                    document.body.appendChild(peer.audioElement);
+                }
+            }
+
+            peer.audioElement.srcObject = peer.remoteStream;
+            peer.audioElement.volume = this.isSpeakerOn ? 1.0 : 0.0;
+        }
+
+        /**
+         * Tell listeners a participant's remote stream gained, lost or (un)muted a track
+         * @param {PeerSession} peer - Participant whose stream changed
+         */
+        handleRemoteStream(peer) {
+            if (this.peers.get(peer.username) === peer) {
+                this.updateRecordingSource(peer.username, peer.remoteStream);
+            }
+            this.emit('remotestream', { username: peer.username, stream: peer.remoteStream });
+        }
+
+        /**
+         * Tell listeners the local mute/camera/speaker/share state changed
+         */
+        emitMediaChange() {
+            const { isMuted, isSpeakerOn, isCameraOn, isScreenSharing } = this.getState();
+            this.emit('mediachange', { isMuted, isSpeakerOn, isCameraOn, isScreenSharing });
+        }
+
+        /**
+         * Pass a user-facing message to the UI layer
+         * @param {string} message - Text to show
+         * @param {string} type - info, success or error
+         */
+        notify(message, type = 'info') {
+            this.emit('notice', { message, type });
+        }
+
+        /**
+         * Snapshot of the current call for host UIs
+         */
+        getState() {
+            return {
+                status: this.callStatus,
+                callId: this.currentCallId,
+                remoteUser: this.remoteUser,
+                isInitiator: this.isInitiator,
+                isGroup: this.isGroup,
+                video: this.callMedia === 'video',
+                isMuted: this.isMuted,
+                isSpeakerOn: this.isSpeakerOn,
+                isCameraOn: this.isCameraOn,
+                isScreenSharing: !!this.screenStream,
+                isRecording: this.isRecording(),
+                participants: this.getParticipants(),
+                startTime: this.callStartTime,
+                talkTime: this.getTalkTime(),
+                heldBy: this.callStatus === 'held' ? (this.holdingLocally ? 'local' : 'remote') : null,
+                waitingCall: this.waitingCall && {
+                    callId: this.waitingCall.id,
+                    from: this.waitingCall.caller_username,
+                    video: this.waitingCall.media_type === 'video'
+                },
+                heldCall: this.heldCall && {
+                    callId: this.heldCall.currentCallId,
+                    remoteUser: this.heldCall.remoteUser
+                },
+                localStream: this.localStream,
+                remoteStreams: [...this.peers.values()]
+                    .filter(peer => peer.remoteStream)
+                    .map(peer => ({ username: peer.username, stream: peer.remoteStream }))
+            };
+        }
+
+        /**
+         * Seconds talked in the current call, leaving out time on hold
+         */
+        getTalkTime() {
+            if (!this.callStartTime) return 0;
+
+            const until = this.holdStartedAt || Date.now();
+            return Math.floor((until - this.callStartTime - this.heldDuration) / 1000);
+        }
+
+        /**
+         * Accept the incoming call (alias of acceptCall)
+         * @param {Object} options - Optional { video: false } to answer with audio only
+         */
+        async accept(options = {}) {
+            return this.acceptCall(options);
+        }
+
+        /**
+         * Decline the incoming call (alias of declineCall)
+         */
+        async decline() {
+            return this.declineCall();
+        }
+
+        /**
+         * Hang up or leave the current call (alias of endCall)
+         */
+        async hangup() {
+            return this.endCall();
+        }
+
+        /**
+         * Mute or unmute the microphone
+         * @param {boolean} muted - Whether to mute (default: true)
+         */
+        mute(muted = true) {
+            if (!this.localStream) return;
+
+            this.isMuted = muted;
+            this.localStream.getAudioTracks().forEach(track => {
+                track.enabled = !this.isMuted && !this.holdingLocally;
+            });
+
+            this.emitMediaChange();
+        }
+
+        /**
+         * Toggle mute
+         */
+        toggleMute() {
+            this.mute(!this.isMuted);
+        }
+
+        /**
+         * Toggle camera, turning it on mid-call if this was a voice call
+         */
+        async toggleCamera() {
+            if (!this.localStream) return;
+
+            const videoTracks = this.localStream.getVideoTracks();
+            if (videoTracks.length === 0) {
+                await this.enableVideo();
+                return;
+            }
+
+            this.isCameraOn = !this.isCameraOn;
+            videoTracks.forEach(track => {
+                track.enabled = this.isCameraOn && !this.holdingLocally;
+            });
+
+            this.emitMediaChange();
+        }
+
+        /**
+         * Share the screen with everyone in the call
+         *
+         * The screen replaces the camera track where one is being sent and is
+         * added as a new video track otherwise, renegotiating through sendSignal.
+         */
+        async startScreenShare() {
+            if (!this.localStream || this.screenStream) return;
+
+            try {
+                this.screenStream = await navigator.mediaDevices.getDisplayMedia({ video: true, audio: false });
+                const track = this.screenStream.getVideoTracks()[0];
+
+                // The browser's native "Stop sharing" button ends the track
+                track.onended = () => this.stopScreenShare();
+
+                for (const peer of this.peers.values()) {
+                    peer.attachScreenTrack(track);
+                }
+
+                this.emitMediaChange();
+            } catch (error) {
+                if (this.screenStream) {
+                    await this.stopScreenShare();
+                }
+                // NotAllowedError means the user closed the picker
+                if (error.name === 'NotAllowedError') {
+                    console.log('Screen share cancelled');
+                } else {
+                    this.reportError('media', 'Error starting screen share', error);
+                    this.notify('Failed to share screen', 'error');
+                }
+            }
+        }
+
+        /**
+         * Stop sharing the screen and go back to the camera, if any
+         */
+        async stopScreenShare() {
+            if (!this.screenStream) return;
+
+            const screenStream = this.screenStream;
+            this.screenStream = null;
+            screenStream.getTracks().forEach(track => {
+                track.onended = null;
+                track.stop();
+            });
+
+            const cameraTrack = this.localStream ? this.localStream.getVideoTracks()[0] : null;
+            for (const peer of this.peers.values()) {
+                try {
+                    if (peer.pc) {
+                        peer.detachScreenTrack(cameraTrack);
+                    }
+                } catch (error) {
+                    console.error('Error stopping screen share:', error);
+                }
+            }
+
+            this.emitMediaChange();
+        }
+
+        /**
+         * Toggle screen sharing
+         */
+        async toggleScreenShare() {
+            if (this.screenStream) {
+                await this.stopScreenShare();
+            } else {
+                await this.startScreenShare();
+            }
+        }
+
+        /**
+         * Put the current direct call on hold
+         *
+         * The connection stays up; this side stops sending and playing audio
+         * and video, and the other side sees the call as held.
+         */
+        async hold() {
+            if (this.isGroup || this.callStatus !== 'connected') {
+                console.warn(`VoiceLink: No call to hold (state: ${this.callStatus})`);
+                return;
+            }
+
+            if (this.screenStream) {
+                await this.stopScreenShare();
+            }
+
+            this.holdingLocally = true;
+            this.setCallStatus('held');
+            this.setMediaActive(false);
+            await this.updateCallStatus();
+        }
+
+        /**
+         * Take the current call off hold (only the side that held it can)
+         */
+        async resume() {
+            if (this.callStatus !== 'held' || !this.holdingLocally) {
+                console.warn(`VoiceLink: No held call to resume (state: ${this.callStatus})`);
+                return;
+            }
+
+            this.holdingLocally = false;
+            this.setMediaActive(true);
+            this.setCallStatus('connected');
+            await this.updateCallStatus();
+        }
+
+        /**
+         * Toggle hold
+         */
+        async toggleHold() {
+            return this.holdingLocally ? this.resume() : this.hold();
+        }
+
+        /**
+         * Pause or restart sending local tracks and playing remote audio
+         */
+        setMediaActive(active) {
+            if (this.localStream) {
+                this.localStream.getAudioTracks().forEach(track => {
+                    track.enabled = active && !this.isMuted;
+                });
+                this.localStream.getVideoTracks().forEach(track => {
+                    track.enabled = active && this.isCameraOn;
+                });
+            }
+
+            this.peers.forEach(peer => {
+                if (peer.audioElement) {
+                    peer.audioElement.muted = !active;
+                }
+            });
+        }
+
+        /**
+         * Toggle speaker
+         */
+        toggleSpeaker() {
+            if (this.peers.size === 0) return;
+
+            this.isSpeakerOn = !this.isSpeakerOn;
+            this.peers.forEach(peer => {
+                if (peer.audioElement) {
+                    peer.audioElement.volume = this.isSpeakerOn ? 1.0 : 0.0;
+                }
+            });
+
+            this.emitMediaChange();
+        }
+
+        /**
+         * Pass a connection quality sample on to listeners
+         * @param {string} username - Remote participant the sample belongs to
+         * @param {Object} stats - { rtt, jitter, packetLoss, bitrateIn, bitrateOut, audioLevel, candidateType }
+         * @param {boolean} poor - Whether the sample is past the POOR_CONNECTION limits
+         * @param {boolean} changed - Whether the connection just turned poor or recovered
+         */
+        handleQualitySample(username, stats, poor, changed) {
+            this.emit('stats', { callId: this.currentCallId, username, stats });
+
+            if (changed) {
+                this.emit('poorconnection', { callId: this.currentCallId, username, poor, stats });
+            }
+        }
+
+        /**
+         * Store the quality summary of each connection of the current call
+         */
+        async saveCallQuality() {
+            if (!this.qualityMonitor) return;
+
+            this.qualityMonitor.stop();
+            const reports = this.qualityMonitor.getSummaries(this.currentCallId, this.config.currentUser);
+            if (reports.length === 0) return;
+
+            try {
+                await this.transport.createCallQuality(reports);
+            } catch (error) {
+                console.error('Error saving call quality:', error);
+            }
+        }
+
+        /**
+         * End call
+         * @param {string} reason - Why the call ended, passed on to 'ended' listeners
+         */
+        async endCall(reason = 'hangup') {
+            if (this.isEnding) return;
+            this.isEnding = true;
+
+            try {
+                // Stop recording
+                this.stopRecording();
+
+                await this.saveCallQuality();
+
+                // Leave a group call; the last one out ends it
+                if (this.currentCallId && this.isGroup) {
+                    await this.leaveGroupCall(reason);
+                    this.cleanup(reason);
+                    return;
+                }
+
+                // Update call status
+                if (this.currentCallId) {
+                    const duration = this.callStartTime ? Math.floor((Date.now() - this.callStartTime) / 1000) : 0;
+                    
+                    // Keep declined/busy outcomes rather than overwriting them with 'ended'
+                    await this.transport.updateCall(this.currentCallId, {
+                        call_status: CallStateMachine.toDbStatus('ended', reason),
+                        end_time: new Date().toISOString(),
+                        duration: duration
+                    });
+
+                    // Clean up signaling data
+                    await this.transport.deleteSignals(this.currentCallId);
+                }
+
+                // Clean up
+                this.cleanup(reason);
+
+            } catch (error) {
+                this.reportError('call', 'Error ending call', error);
+                this.cleanup(reason);
+            }
+        }
+
+        /**
+         * Mark ourselves as left, ending the call if nobody else is in it
+         * @param {string} reason - Why we are leaving; 'missed' marks the call missed
+         */
+        async leaveGroupCall(reason = 'hangup') {
+            if (!this.hasJoined) return;
+
+            const duration = this.callStartTime ? Math.floor((Date.now() - this.callStartTime) / 1000) : 0;
+
+            await this.transport.updateParticipant(this.currentCallId, this.config.currentUser, {
+                status: 'left',
+                left_at: new Date().toISOString()
+            });
+
+            const othersJoined = [...this.participants.values()].some(p =>
+                p.username !== this.config.currentUser && p.status === 'joined'
+            );
+
+            if (!othersJoined) {
+                await this.transport.updateCall(this.currentCallId, {
+                    call_status: CallStateMachine.toDbStatus('ended', reason),
+                    end_time: new Date().toISOString(),
+                    duration: duration
+                });
+                await this.transport.deleteSignals(this.currentCallId);
+            }
+        }
+
+        /**
+         * Handle connection failure
+         *
+         * Schedules an ICE restart on the existing connection, backing off
+         * between attempts. Whichever side notices first sends the restart
+         * offer; the other side answers it like any renegotiation.
+         * @param {PeerSession} peer - Peer whose connection failed
+         */
+        async handleConnectionFailure(peer = this.getPrimaryPeer()) {
+            if (!peer || !peer.pc || peer.reconnectTimer) return;
+
+            if (peer.reconnectAttempts < this.maxReconnectAttempts) {
+                const attempt = ++peer.reconnectAttempts;
+                const delay = Math.min(RECONNECT_BASE_DELAY * 2 ** (attempt - 1), RECONNECT_MAX_DELAY);
+
+                if (attempt === 1) {
+                    this.notify(this.isGroup ? `Reconnecting to ${peer.username}...` : 'Reconnecting...', 'info');
+                }
+
+                peer.reconnectTimer = setTimeout(async () => {
+                    peer.reconnectTimer = null;
+                    if (!peer.pc || peer.pc.connectionState === 'connected') return;
+
+                    console.log(`Restarting ICE with ${peer.username} (${attempt}/${this.maxReconnectAttempts})...`);
+                    try {
+                        await peer.restartIce();
+                    } catch (error) {
+                        this.reportError('signaling', 'Error restarting ICE', error);
+                    }
+
+                    // A restart that doesn't bring the connection back leads to the next attempt
+                    if (!peer.pc) return;
+                    peer.reconnectTimer = setTimeout(() => {
+                        peer.reconnectTimer = null;
+                        if (peer.pc && peer.pc.connectionState !== 'connected') {
+                            this.handleConnectionFailure(peer);
+                        }
+                    }, ICE_RESTART_TIMEOUT);
+                }, delay);
+            } else if (this.isGroup) {
+                // Drop only this participant; the rest of the mesh stays up
+                this.notify(`Lost connection to ${peer.username}`, 'error');
+                this.removePeer(peer.username);
+            } else {
+                this.notify('Connection failed', 'error');
+                await this.endCall('failed');
+            }
+        }
+
+        /**
+         * Handle disconnection
+         * @param {PeerSession} peer - Peer that disconnected
+         */
+        async handleDisconnection(peer) {
+            if (['connected', 'held'].includes(this.callStatus)) {
+                // Try to reconnect
+                await this.handleConnectionFailure(peer);
+            }
+        }
+
+        /**
+         * Update call status in database
+         * @param {string} status - calls.call_status value (default: the current state's)
+         */
+        async updateCallStatus(status = this.callState.toDbStatus()) {
+            try {
+                await this.transport.updateCall(this.currentCallId, { call_status: status });
+            } catch (error) {
+                console.error('Error updating call status:', error);
+            }
+        }
+
+        /**
+         * Move the call state machine and notify listeners
+         * @param {string} status - Target state
+         * @param {string} reason - Why the call ended (only for 'ended')
+         * @returns {boolean} False if the transition is illegal and was ignored
+         */
+        setCallStatus(status, reason = null) {
+            if (!this.callState.can(status)) {
+                console.warn(`VoiceLink: Ignoring call state change ${this.callStatus} -> ${status}`);
+                return false;
+            }
+
+            const previous = this.callState.transition(status, reason);
+
+            // Time on hold doesn't count as talk time
+            if (status === 'held') {
+                this.holdStartedAt = Date.now();
+            } else if (previous === 'held') {
+                this.heldDuration += Date.now() - this.holdStartedAt;
+                this.holdStartedAt = null;
+            }
+
+            this.emit('callstatechange', { callId: this.currentCallId, status, previous, reason });
+            this.refreshPresence();
+            return true;
+        }
+
+        /**
+         * Log an error and pass it on to 'error' listeners
+         * @param {string} code - Area that failed: registration, call, media, signaling or recording
+         * @param {string} message - Log message
+         * @param {Error} error - Original error
+         * @param {string} callId - Call the error belongs to (default: current call)
+         */
+        reportError(code, message, error, callId = this.currentCallId) {
+            console.error(`${message}:`, error);
+            this.emit('error', { code, message, callId, error });
+        }
+
+        /**
+         * Join presence with this tab: meet the user's other tabs, publish on
+         * the user's presence channel and follow what their devices publish
+         */
+        async joinPresence() {
+            if (this.tabs) return;
+
+            // Whoever leads after a change brings the row up to date
+            const tabs = new TabGroup(this.config.currentUser, () => this.refreshPresence());
+            this.tabs = tabs;
+            this.lastActivity = Date.now();
+            this.trackedStatus = null;
+            this.writtenStatus = null;
+
+            try {
+                this.ownPresenceUnsubscribe = this.transport.subscribePresenceState(this.config.currentUser, states => {
+                    this.ownPresence = states;
+                    this.refreshPresence();
+                });
+            } catch (error) {
+                console.warn('VoiceLink: No presence channel, using the users table only:', error.message);
+            }
+
+            if (hasDOM) {
+                this.activityHandler = () => {
+                    this.lastActivity = Date.now();
+                    if (this.tabs && this.tabs.state.status === 'away' && !this.tabs.status) this.refreshPresence();
+                };
+                this.focusHandler = () => {
+                    if (document.visibilityState === 'hidden' || !this.tabs) return;
+                    this.tabs.update({ focusedAt: Date.now() });
+                    this.activityHandler();
+                };
+                ACTIVITY_EVENTS.forEach(type => window.addEventListener(type, this.activityHandler, { passive: true }));
+                window.addEventListener('focus', this.focusHandler);
+                document.addEventListener('visibilitychange', this.focusHandler);
+            }
+
+            // Hear the other tabs out before acting on this one's own view
+            await tabs.open({ focusedAt: hasDOM && document.hasFocus() ? Date.now() : 0 });
+            if (this.tabs !== tabs) return;
+
+            this.presenceTimer = setInterval(() => {
+                this.tabs.ping();
+                this.refreshPresence();
+            }, PRESENCE_CHECK_INTERVAL);
+            this.refreshPresence();
+        }
+
+        /**
+         * Leave presence with this tab; the last tab of the user's last
+         * device writes them offline
+         */
+        leavePresence() {
+            const tabs = this.tabs;
+            if (!tabs) return Promise.resolve();
+
+            const alone = tabs.states().length === 1 &&
+                !(this.ownPresence || []).some(state => state.tab !== tabs.id);
+
+            tabs.close();
+            this.tabs = null;
+            this.ownPresence = null;
+            this.presenceStatus = null;
+            clearInterval(this.presenceTimer);
+            this.presenceTimer = null;
+            if (this.ownPresenceUnsubscribe) {
+                this.ownPresenceUnsubscribe();
+                this.ownPresenceUnsubscribe = null;
+            }
+            if (this.activityHandler) {
+                ACTIVITY_EVENTS.forEach(type => window.removeEventListener(type, this.activityHandler));
+                window.removeEventListener('focus', this.focusHandler);
+                document.removeEventListener('visibilitychange', this.focusHandler);
+                this.activityHandler = null;
+                this.focusHandler = null;
+            }
+
+            const untracked = this.transport.untrackPresence(this.config.currentUser).catch(() => {});
+            return Promise.all([untracked, alone ? this.updateUserStatus('offline') : null]);
+        }
+
+        /**
+         * Recompute this tab's status and pass it on: to the other tabs, to
+         * the presence channel and, from the leader tab, to the user's row
+         * @param {boolean} force - Write the row even if the combined status is unchanged
+         */
+        refreshPresence(force = false) {
+            if (!this.tabs) return;
+
+            const status = this.getTabStatus();
+            this.tabs.update({ status, inCall: this.callStatus !== 'idle' || !!this.dialing || !!this.heldCall });
+
+            if (status !== this.trackedStatus) {
+                this.trackedStatus = status;
+                this.transport.trackPresence(this.config.currentUser, { status, tab: this.tabs.id })
+                    .catch(error => console.warn('VoiceLink: Presence not published:', error.message));
+            }
+
+            const combined = this.getStatus();
+            if (combined !== this.presenceStatus) {
+                this.presenceStatus = combined;
+                this.emit('statuschange', { status: combined });
+            }
+
+            if (this.tabs.isLeader && (force || combined !== this.writtenStatus)) {
+                this.updateUserStatus(combined);
+            }
+        }
+
+        /**
+         * This tab's own status: in a call, else what setStatus picked, else
+         * away once config.awayAfter passes without input, else online
+         */
+        getTabStatus() {
+            // A caller whose call is ringing on the other side is already in it
+            if (['calling', 'connecting', 'connected', 'held'].includes(this.callStatus) ||
+                (this.callStatus === 'ringing' && this.isInitiator) || this.dialing || this.heldCall) {
+                return 'in-call';
+            }
+            if (this.tabs.status) return this.tabs.status;
+
+            const awayAfter = this.config.awayAfter ?? DEFAULT_AWAY_AFTER;
+            return awayAfter && Date.now() - this.lastActivity > awayAfter ? 'away' : 'online';
+        }
+
+        /**
+         * The current user's status across all their tabs and devices
+         * @returns {string} 'online', 'away', 'busy', 'in-call', 'dnd' or 'offline'
+         */
+        getStatus() {
+            if (!this.tabs) return 'offline';
+
+            // The channel adds other devices; tabs here know their own state first-hand
+            const tabs = this.tabs.states();
+            const ids = new Set(tabs.map(tab => tab.id));
+            const devices = (this.ownPresence || []).filter(state => !ids.has(state.tab));
+
+            return this.combinePresence([...tabs, ...devices]);
+        }
+
+        /**
+         * Pick a status for this user in every tab
+         * @param {string} status - 'online', 'away', 'busy' or 'dnd' (calls are turned away as busy)
+         */
+        setStatus(status) {
+            if (!MANUAL_STATUSES.includes(status)) {
+                throw new Error(`VoiceLink: Unknown status "${status}"`);
+            }
+            if (!this.tabs) return;
+
+            this.tabs.setStatus(status === 'online' ? null : status);
+            this.lastActivity = Date.now();
+            this.refreshPresence();
+        }
+
+        /**
+         * Whether do-not-disturb is on in any of the user's tabs or devices
+         */
+        isDoNotDisturb() {
+            return !!this.tabs && (this.tabs.status === 'dnd' ||
+                (this.ownPresence || []).some(state => state.status === 'dnd'));
+        }
+
+        /**
+         * Combined status of everything one user has connected
+         * @param {Object[]} states - { status } of each tab
+         */
+        combinePresence(states) {
+            return PRESENCE_STATUSES.find(status => states.some(state => state.status === status)) || 'offline';
+        }
+
+        /**
+         * Status stored in a user row (rows written before statuses existed only have the flags)
+         */
+        statusOfRow(user) {
+            if (user.status) return user.status;
+            if (!user.is_online) return 'offline';
+            return user.is_busy ? 'busy' : 'online';
+        }
+
+        /**
+         * Write the user's combined status to their row, one write at a time
+         * so they land in order
+         * @param {string} status - Combined status, or 'offline'
+         */
+        updateUserStatus(status) {
+            this.writtenStatus = status;
+            const fields = {
+                status,
+                is_online: status !== 'offline',
+                is_busy: BUSY_STATUSES.includes(status),
+                last_seen: new Date().toISOString()
+            };
+
+            this.userUpdates = this.userUpdates
+                .then(() => this.transport.updateUser(this.config.currentUser, fields))
+                .catch(error => console.error('Error updating user status:', error));
+            return this.userUpdates;
+        }
+
+        /**
+         * Handle a watched contact's row changing
+         *
+         * Once their presence channel has been heard from, it decides the
+         * status; the row then only serves last_seen for when they are offline.
+         * @returns {Object|null} The contact's new status, or null if it did not change
+         */
+        handleUserStatusChange(user) {
+            const known = this.knownPresence.get(user.username);
+            if (known && known.live) {
+                if (known.status === 'offline' && user.last_seen) known.lastSeen = user.last_seen;
+                return null;
+            }
+
+            return this.setKnownPresence(user.username, this.statusOfRow(user), user.last_seen || null, false);
+        }
+
+        /**
+         * Handle a watched contact's presence channel changing
+         * @returns {Object|null} The contact's new status, or null if it did not change
+         */
+        handlePresenceState(username, states) {
+            const status = this.combinePresence(states);
+            const known = this.knownPresence.get(username);
+
+            // Seen just now while connected, or just now leaving
+            const lastSeen = status !== 'offline' || (known && known.status !== 'offline')
+                ? new Date().toISOString()
+                : (known ? known.lastSeen : null);
+
+            return this.setKnownPresence(username, status, lastSeen, true);
+        }
+
+        setKnownPresence(username, status, lastSeen, live) {
+            const known = this.knownPresence.get(username);
+            this.knownPresence.set(username, { status, lastSeen, live: live || !!(known && known.live) });
+
+            // Heartbeats rewrite the row every few seconds; only report real changes
+            if (known && known.status === status) return null;
+
+            const user = this.toUserStatus(username, status, lastSeen);
+            this.emit('presence', {
+                username,
+                status,
+                isOnline: user.is_online,
+                isBusy: user.is_busy,
+                lastSeen
+            });
+            return user;
+        }
+
+        toUserStatus(username, status, lastSeen) {
+            return {
+                username,
+                status,
+                is_online: status !== 'offline',
+                is_busy: BUSY_STATUSES.includes(status),
+                last_seen: lastSeen
+            };
+        }
+
+        /**
+         * Names of the other participants still in or invited to the group call
+         */
+        getParticipantNames() {
+            return [...this.participants.values()]
+                .filter(p => p.username !== this.config.currentUser && (p.status === 'joined' || p.status === 'invited'))
+                .map(p => p.username);
+        }
+
+        /**
+         * Start heartbeat to keep last_seen fresh; one tab per browser writes,
+         * and a row left alone for two minutes is marked offline by the database
+         */
+        startHeartbeat() {
+            this.heartbeatInterval = setInterval(() => {
+                if (this.tabs && this.tabs.isLeader) {
+                    this.updateUserStatus(this.getStatus());
+                }
+            }, 30000); // Every 30 seconds
+        }
+
+        /**
+         * Run a callback once the ring timeout passes; cleanup() cancels it
+         * @param {Function} onTimeout - Called when the call has rung too long
+         * @param {number} grace - Extra ms on top of config.ringTimeout
+         */
+        startRingTimer(onTimeout, grace = 0) {
+            const timeout = this.config.ringTimeout ?? DEFAULT_RING_TIMEOUT;
+            if (!timeout) return;
+
+            const timer = setTimeout(() => {
+                this.ringTimers.delete(timer);
+                onTimeout();
+            }, timeout + grace);
+            this.ringTimers.add(timer);
+        }
+
+        /**
+         * End a call nobody answered as missed
+         *
+         * The caller normally does this; the callee only gets here if the
+         * caller went away without marking the call itself.
+         * @param {string} callId - Call that was ringing
+         */
+        async handleUnansweredCall(callId) {
+            if (callId !== this.currentCallId || !['calling', 'ringing'].includes(this.callStatus)) return;
+
+            const caller = this.isInitiator ? this.config.currentUser : this.remoteUser;
+            const receiver = this.isInitiator ? this.remoteUser : this.config.currentUser;
+
+            await this.createMissedCallNotification(callId, receiver, caller);
+
+            if (this.isInitiator) {
+                this.notify('No answer', 'info');
+                await this.endCall('missed');
+                return;
+            }
+
+            try {
+                if (this.isGroup) {
+                    await this.transport.updateParticipant(callId, receiver, { status: 'missed' });
+                } else {
+                    await this.transport.updateCall(callId, {
+                        call_status: 'missed',
+                        end_time: new Date().toISOString()
+                    });
+                }
+            } catch (error) {
+                console.error('Error updating call status:', error);
+            }
+
+            this.cleanup('missed');
+        }
+
+        /**
+         * Mark group call invitees that never answered as missed
+         * @param {string} callId - Group call the invitations belong to
+         * @param {string[]} usernames - Invitees of one batch
+         */
+        async expireInvitations(callId, usernames) {
+            if (callId !== this.currentCallId) return;
+
+            for (const username of usernames) {
+                const participant = this.participants.get(username);
+                if (!participant || participant.status !== 'invited') continue;
+
+                try {
+                    await this.transport.updateParticipant(callId, username, { status: 'missed' });
+                } catch (error) {
+                    console.error('Error updating participant status:', error);
+                    continue;
+                }
+                await this.createMissedCallNotification(callId, username, this.config.currentUser);
+            }
+        }
+
+        /**
+         * Leave a missed-call notification for the receiver
+         */
+        async createMissedCallNotification(callId, username, fromUsername) {
+            try {
+                await this.transport.createNotification({
+                    username,
+                    notification_type: 'missed_call',
+                    call_id: callId,
+                    from_username: fromUsername
+                });
+            } catch (error) {
+                console.error('Error creating notification:', error);
+            }
+        }
+
+        /**
+         * Notifications of the current user, newest first
+         * @param {Object} options - Optional { unreadOnly: true, limit: 50 }
+         * @returns {Promise<Object[]>} notifications rows
+         */
+        async getNotifications(options = {}) {
+            try {
+                return await this.transport.getNotifications(this.config.currentUser, options);
+            } catch (error) {
+                console.error('Error loading notifications:', error);
+                return [];
+            }
+        }
+
+        /**
+         * Mark notifications as read
+         * @param {string|string[]} ids - Notification id(s) (default: all of the current user's)
+         */
+        async markRead(ids = null) {
+            try {
+                await this.transport.markNotificationsRead(
+                    this.config.currentUser,
+                    ids === null ? null : [].concat(ids)
+                );
+            } catch (error) {
+                console.error('Error marking notifications read:', error);
+            }
+        }
+
+        /**
+         * Calls the current user placed, received or was invited to, newest
+         * first
+         *
+         * Each entry is { callId, direction, outcome, with, isGroup, video,
+         * startTime, endTime, duration, unseen }. direction is 'incoming' or
+         * 'outgoing'; outcome is 'completed', 'missed', 'declined', 'busy',
+         * 'cancelled' or 'ongoing'. unseen marks missed calls whose
+         * notification is still unread.
+         * @param {Object} options - Optional { withUser, limit: 50, cursor } (cursor from the previous page)
+         * @returns {Promise<{calls: Object[], cursor: string|null}>} cursor is null on the last page
+         */
+        async getCallHistory(options = {}) {
+            const limit = options.limit || 50;
+            // Calls can start in the same instant, so the cursor is "start_time|id"
+            const [before, beforeId] = options.cursor ? options.cursor.split('|') : [null, null];
+
+            try {
+                const [rows, unread] = await Promise.all([
+                    this.transport.getCallHistory(this.config.currentUser, {
+                        withUser: options.withUser || null,
+                        before,
+                        beforeId,
+                        limit
+                    }),
+                    this.transport.getNotifications(this.config.currentUser, { unreadOnly: true, limit: 200 })
+                ]);
+                const unseen = new Set(unread
+                    .filter(n => n.notification_type === 'missed_call')
+                    .map(n => n.call_id));
+
+                return {
+                    calls: rows.map(row => this.toHistoryEntry(row, unseen)),
+                    cursor: rows.length === limit ? `${rows[rows.length - 1].start_time}|${rows[rows.length - 1].id}` : null
+                };
+            } catch (error) {
+                console.error('Error loading call history:', error);
+                return { calls: [], cursor: null };
+            }
+        }
+
+        /**
+         * Describe a call row from the current user's side
+         * @param {Object} row - calls row with answered_at, participants and participant_status
+         * @param {Set<string>} unseen - Call ids with an unread missed-call notification
+         */
+        toHistoryEntry(row, unseen) {
+            const user = this.config.currentUser;
+            const outgoing = row.caller_username === user;
+            const status = row.is_group && !outgoing ? row.participant_status : row.call_status;
+
+            let outcome;
+            if (['calling', 'ringing', 'accepted', 'held'].includes(row.call_status) &&
+                !['declined', 'busy', 'missed', 'left'].includes(status)) {
+                outcome = 'ongoing';
+            } else if (status === 'joined' || status === 'left' || (status === 'ended' && row.answered_at)) {
+                outcome = 'completed';
+            } else if (status === 'declined' || (status === 'busy' && outgoing)) {
+                outcome = status;
+            } else if (outgoing) {
+                // Ended before anyone answered
+                outcome = status === 'missed' ? 'missed' : 'cancelled';
+            } else {
+                outcome = 'missed';
+            }
+
+            const others = [row.caller_username, row.receiver_username, ...(row.participants || [])]
+                .filter((name, index, all) => name && name !== user && all.indexOf(name) === index);
+
+            return {
+                callId: row.id,
+                direction: outgoing ? 'outgoing' : 'incoming',
+                outcome,
+                with: others,
+                isGroup: !!row.is_group,
+                video: row.media_type === 'video',
+                startTime: row.start_time,
+                endTime: row.end_time,
+                duration: row.duration || 0,
+                unseen: outcome === 'missed' && !outgoing && unseen.has(row.id)
+            };
+        }
+
+        /**
+         * Missed calls the current user has not seen yet
+         * @returns {Promise<{total: number, byUser: Object<string, number>}>}
+         */
+        async getUnseenMissedCalls() {
+            const counts = { total: 0, byUser: {} };
+
+            try {
+                const unread = await this.transport.getNotifications(this.config.currentUser, { unreadOnly: true, limit: 200 });
+                unread
+                    .filter(n => n.notification_type === 'missed_call')
+                    .forEach(n => {
+                        counts.total++;
+                        counts.byUser[n.from_username] = (counts.byUser[n.from_username] || 0) + 1;
+                    });
+            } catch (error) {
+                console.error('Error loading missed calls:', error);
+            }
+            return counts;
+        }
+
+        /**
+         * Mark missed calls as seen
+         * @param {string} withUser - Only those from this contact (default: all)
+         */
+        async markMissedCallsSeen(withUser = null) {
+            try {
+                const unread = await this.transport.getNotifications(this.config.currentUser, { unreadOnly: true, limit: 200 });
+                const ids = unread
+                    .filter(n => n.notification_type === 'missed_call' && (!withUser || n.from_username === withUser))
+                    .map(n => n.id);
+
+                if (ids.length > 0) {
+                    await this.transport.markNotificationsRead(this.config.currentUser, ids);
+                }
+            } catch (error) {
+                console.error('Error marking missed calls seen:', error);
+            }
+        }
+
+        /**
+         * Show call history as chat bubbles ("Missed voice call · 2:14 PM")
+         * in a container the host app provides, oldest first
+         * @param {HTMLElement} container - Where the entries go; its content is replaced
+         * @param {Object} options - getCallHistory options
+         * @returns {Promise<Object[]>} The entries shown
+         */
+        async renderCallLog(container, options = {}) {
+            const { calls } = await this.getCallHistory(options);
+            (this.ui || new DefaultUI(this)).renderCallLog(container, calls);
+            return calls;
+        }
+
+        /**
+         * Recordings the current user made, newest first
+         * @param {Object} options - Optional { withUser, from, to, limit: 50 }; from/to are Dates or ISO strings
+         * @returns {Promise<Object[]>} call_recordings rows
+         */
+        async listRecordings(options = {}) {
+            try {
+                return await this.transport.listRecordings(this.config.currentUser, {
+                    ...options,
+                    from: options.from ? new Date(options.from).toISOString() : null,
+                    to: options.to ? new Date(options.to).toISOString() : null
+                });
+            } catch (error) {
+                console.error('Error loading recordings:', error);
+                return [];
+            }
+        }
+
+        /**
+         * A URL the current user's recording of a call can be played or
+         * downloaded from
+         *
+         * Segmented recordings are fetched through signed URLs and joined
+         * into one Blob, so the result is an object URL; pass it to
+         * URL.revokeObjectURL once it is no longer needed.
+         * @param {string} callId - Recorded call
+         * @param {Object} options - Optional { expiresIn: 3600 } seconds the signed URLs stay valid
+         * @returns {Promise<string>}
+         */
+        async getRecordingUrl(callId, options = {}) {
+            const expiresIn = options.expiresIn || 3600;
+            const [recording] = await this.transport.listRecordings(this.config.currentUser, { callId, limit: 1 });
+
+            if (!recording || recording.recording_status !== 'completed') {
+                throw new Error('VoiceLink: No completed recording for this call');
+            }
+
+            const url = await this.transport.getRecordingUrl(recording.storage_path, expiresIn);
+            if (!recording.storage_path.endsWith('/manifest.json')) {
+                return url;
+            }
+
+            const manifest = await (await fetch(url)).json();
+            const segments = [];
+            for (const segment of manifest.segments) {
+                const response = await fetch(await this.transport.getRecordingUrl(segment.path, expiresIn));
+                if (!response.ok) {
+                    throw new Error(`VoiceLink: Could not download ${segment.path}`);
+                }
+                segments.push(await response.blob());
+            }
+
+            return URL.createObjectURL(new Blob(segments, { type: manifest.mimeType }));
+        }
+
+        /**
+         * Delete the current user's recording of a call: its files, its row
+         * and any segments still waiting to upload
+         * @param {string} callId - Recorded call
+         * @returns {Promise<boolean>} Whether a recording was deleted
+         */
+        async deleteRecording(callId) {
+            try {
+                const user = this.config.currentUser;
+                const [recording] = await this.transport.listRecordings(user, { callId, limit: 1 });
+                if (!recording) return false;
+
+                const path = recording.storage_path;
+                const folder = path.endsWith('/manifest.json') ? path.slice(0, path.lastIndexOf('/')) : null;
+                const files = folder ? await this.transport.listRecordingFiles(folder) : [path];
+
+                if (files.length > 0) {
+                    await this.transport.deleteRecordingFiles(files);
+                }
+                await this.transport.deleteRecording(callId, user);
+                if (folder) {
+                    await this.recordingStore.deleteRecording(folder);
+                }
+
+                this.emit('recordingdeleted', { callId });
+                return true;
+            } catch (error) {
+                this.reportError('recording', 'Error deleting recording', error, callId);
+                return false;
+            }
+        }
+
+        /**
+         * Delete the current user's recordings older than
+         * config.recordingRetentionDays
+         */
+        async applyRecordingRetention() {
+            const days = this.config.recordingRetentionDays;
+            if (!days) return;
+
+            const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+            const expired = await this.listRecordings({ to: cutoff, limit: 100 });
+
+            for (const recording of expired) {
+                await this.deleteRecording(recording.call_id);
+            }
+            if (expired.length > 0) {
+                console.log(`Deleted ${expired.length} recording(s) past the retention period`);
+            }
+        }
+
+        /**
+         * A player for the current user's recording of a call, to drop into
+         * a chat thread next to the call entry
+         * @param {string} callId - Recorded call
+         * @returns {HTMLElement}
+         */
+        createRecordingPlayer(callId) {
+            return (this.ui || new DefaultUI(this)).createRecordingPlayer(callId);
+        }
+
+        /**
+         * Clean up resources
+         * @param {string} reason - Why the call ended, for the 'ended' event
+         */
+        cleanup(reason = 'hangup') {
+            const endedCall = this.currentCallId && {
+                callId: this.currentCallId,
+                reason,
+                duration: this.callStartTime ? Math.floor((Date.now() - this.callStartTime) / 1000) : 0,
+                with: this.isGroup ? this.getParticipantNames() : [this.remoteUser],
+                isGroup: this.isGroup
+            };
+
+            // Nothing comes back after the page goes away
+            if (reason === 'unload' && this.heldCall) {
+                this.dropHeldCall(reason);
+            }
+
+            // Stop recording; on unload whatever has not uploaded yet stays
+            // in the recording store for the next init
+            this.stopRecording();
+
+            // Stop sampling connection quality
+            if (this.qualityMonitor) {
+                this.qualityMonitor.stop();
+                this.qualityMonitor = null;
+            }
+
+            // Close peer connections
+            this.peers.forEach(peer => peer.close());
+            this.peers.clear();
+            this.isCameraOn = false;
+            this.callMedia = 'audio';
+
+            // Stop screen sharing
+            if (this.screenStream) {
+                this.screenStream.getTracks().forEach(track => {
+                    track.onended = null;
+                    track.stop();
+                });
+                this.screenStream = null;
+            }
+
+            // Stop following group call participants
+            if (this.participantsUnsubscribe) {
+                this.participantsUnsubscribe();
+                this.participantsUnsubscribe = null;
+            }
+            this.participants.clear();
+
+            // Stop local stream
+            if (this.localStream) {
+                this.localStream.getTracks().forEach(track => track.stop());
+                this.localStream = null;
+            }
+
+            // Clear heartbeat and ring timeouts
+            if (this.heartbeatInterval) {
+                clearInterval(this.heartbeatInterval);
+            }
+            this.ringTimers.forEach(timer => clearTimeout(timer));
+            this.ringTimers.clear();
+
+            // Reset state (the UI layer tears down its overlays on 'idle')
+            this.isMuted = false;
+            if (this.callState.can('ended')) {
+                this.setCallStatus('ended', reason);
+            }
+            if (this.callStatus === 'ended') {
+                this.setCallStatus('idle');
+            }
             this.currentCallId = null;
             this.currentRoomId = null;
+            this.remoteUser = null;
             this.isInitiator = false;
-            this.callStatus = 'idle';
-            this.mediaRecorder = null;
-            this.recordedChunks = [];
+            this.dialing = null;
+            this.crossingCall = null;
+            this.isGroup = false;
+            this.hasJoined = false;
+            this.callConnected = false;
+            this.isEnding = false;
             this.callStartTime = null;
-            this.realtimeChannel = null;
+            this.mediaRecorder = null;
+            this.recordingMixer = null;
+            this.recordingUpload = null;
+            this.recordingConsent = null;
+            this.peerRecordingConsent = new Map();
+            this.holdingLocally = false;
+            this.holdStartedAt = null;
+            this.heldDuration = 0;
+            this.pendingSignals.clear();
+            this.handledSignalIds.clear();
+            this.signalsReady = false;
+
+            // Back to available (still in a call if a held call comes back)
+            this.refreshPresence();
+
+            // Restart heartbeat
+            this.startHeartbeat();
+
+            if (endedCall) {
+                this.emit('ended', endedCall);
+            }
+
+            if (this.heldCall) {
+                this.restoreHeldCall();
+            } else if (this.waitingCall && reason !== 'unload') {
+                // The waiting call rings like any other now that the line is free
+                const waiting = this.waitingCall;
+                this.waitingCall = null;
+                this.handleIncomingCall(waiting);
+            }
+        }
+
+        /**
+         * Tear down the instance: end any call, drop subscriptions and go offline
+         */
+        async destroy() {
+            if (this.waitingCall) {
+                await this.declineWaitingCall();
+            }
+            await this.endHeldCall();
+            if (this.currentCallId) {
+                await this.endCall();
+            }
+
+            this.cleanup();
+            clearInterval(this.heartbeatInterval);
             this.heartbeatInterval = null;
-            this.reconnectAttempts = 0;
-            this.maxReconnectAttempts = 5;
-            this.isMuted = false;
-            this.isSpeakerOn = true;
-            
-            // UI Elements
+
+            if (this.ui) {
+                this.ui.destroy();
+                this.ui = null;
+            }
+
+            this.unsubscribers.forEach(off => off());
+            this.unsubscribers = [];
+            if (this.deviceChangeHandler) {
+                navigator.mediaDevices.removeEventListener('devicechange', this.deviceChangeHandler);
+                this.deviceChangeHandler = null;
+            }
+            this.presenceWatchers.forEach(watcher => watcher.unsubscribe());
+            this.presenceWatchers.clear();
+            this.knownPresence.clear();
+            if (this.pageHideHandler) {
+                window.removeEventListener('pagehide', this.pageHideHandler);
+                window.removeEventListener('pageshow', this.pageShowHandler);
+                this.pageHideHandler = null;
+                this.pageShowHandler = null;
+            }
+
+            await this.leavePresence();
+            await this.transport.close();
+        }
+    }
+
+    /**
+     * Built-in call button, overlays, ringtones and notifications.
+     *
+     * Everything here goes through the public VoiceLink API and events, so a
+     * host app can replace it entirely with `headless: true`.
+     */
+    class DefaultUI {
+        /**
+         * @param {VoiceLink} client - Instance to drive and follow
+         */
+        constructor(client) {
+            this.client = client;
+            this.config = client.config;
+            this.listeners = [];
             this.callButton = null;
+            this.createdCallButton = false;
+            this.documentClickHandler = null;
             this.callOverlay = null;
             this.incomingCallOverlay = null;
             this.activeCallOverlay = null;
-            
+            this.preflightOverlay = null;
+            this.durationInterval = null;
+            this.vibrateInterval = null;
+            this.poorConnections = new Set();
+
             // Audio elements
             this.ringAudio = null;
             this.ringtoneAudio = null;
         }
 
         /**
-         * Initialize VoiceLink with configuration
-         * @param {Object} config - Configuration object
-         * @param {string} config.supabaseUrl - Supabase project URL
-         * @param {string} config.supabaseKey - Supabase anon key
-         * @param {string} config.currentUser - Current user's username
-         * @param {string} config.friendUser - Friend's username
-         * @param {string} config.buttonSelector - Optional button selector (default: #voice-call)
+         * Add the UI to the page and start following the client
          */
-        async init(config) {
-            if (!config.supabaseUrl || !config.supabaseKey || !config.currentUser || !config.friendUser) {
-                throw new Error('VoiceLink: Missing required configuration parameters');
-            }
-
-            this.config = config;
-            
-            // Initialize Supabase client
-            this.supabase = window.supabase.createClient(config.supabaseUrl, config.supabaseKey);
-            
-            // Register user and update online status
-            await this.registerUser();
-            
-            // Set up real-time subscriptions
-            await this.setupRealtimeSubscriptions();
-            
-            // Set up UI
+        async mount() {
             this.setupUI();
-            
-            // Set up heartbeat to maintain online status
-            this.startHeartbeat();
-            
+
+            this.listen('callstatechange', ({ status, previous }) => this.handleCallStateChange(status, previous));
+            this.listen('incoming', event => this.handleIncoming(event));
+            this.listen('ringing', () => this.updateCallingOverlayStatus('Ringing...'));
+            this.listen('connected', () => this.handleConnected());
+            this.listen('participantschange', () => this.renderParticipants());
+            this.listen('remotestream', () => this.renderVideos());
+            this.listen('mediachange', () => this.updateControls());
+            this.listen('notice', ({ message, type }) => this.showNotification(message, type));
+            this.listen('poorconnection', ({ username, poor }) => this.handlePoorConnection(username, poor));
+            this.listen('participantleft', ({ username }) => this.handlePoorConnection(username, false));
+            this.listen('callwaiting', ({ from, video }) => this.showWaitingBanner(from, video));
+            this.listen('callwaitingend', () => this.removeWaitingBanner());
+            this.listen('devicechange', devices => this.renderDevices(devices));
+            this.listen('recordingconsent', () => this.showConsentPrompt());
+            this.listen('recording', () => this.updateRecordingIndicator());
+
             // Request notification permission
             await this.requestNotificationPermission();
-            
-            // Clean up on page unload
-            window.addEventListener('beforeunload', () => this.cleanup());
-            
-            console.log('VoiceLink initialized successfully');
-        }
-
-        /**
-         * Register user in database and set online status
-         */
-        async registerUser() {
-            try {
-                const { data, error } = await this.supabase
-                    .from('users')
-                    .upsert({
-                        username: this.config.currentUser,
-                        is_online: true,
-                        is_busy: false,
-                        last_seen: new Date().toISOString()
-                    }, { onConflict: 'username' });
-
-                if (error) throw error;
-            } catch (error) {
-                console.error('Error registering user:', error);
-            }
         }
 
         /**
-         * Set up real-time subscriptions for calls and signaling
+         * Subscribe to a client event, remembering it for destroy()
          */
-        async setupRealtimeSubscriptions() {
-            // Subscribe to calls table for incoming calls
-            this.supabase
-                .channel('calls-channel')
-                .on('postgres_changes', {
-                    event: 'INSERT',
-                    schema: 'public',
-                    table: 'calls',
-                    filter: `receiver_username=eq.${this.config.currentUser}`
-                }, payload => {
-                    this.handleIncomingCall(payload.new);
-                })
-                .on('postgres_changes', {
-                    event: 'UPDATE',
-                    schema: 'public',
-                    table: 'calls'
-                }, payload => {
-                    this.handleCallStatusUpdate(payload.new);
-                })
-                .subscribe();
-
-            // Subscribe to signaling table for WebRTC signals
-            this.supabase
-                .channel('signaling-channel')
-                .on('postgres_changes', {
-                    event: 'INSERT',
-                    schema: 'public',
-                    table: 'signaling',
-                    filter: `receiver_username=eq.${this.config.currentUser}`
-                }, payload => {
-                    this.handleSignal(payload.new);
-                })
-                .subscribe();
-
-            // Subscribe to user status changes
-            this.supabase
-                .channel('users-channel')
-                .on('postgres_changes', {
-                    event: 'UPDATE',
-                    schema: 'public',
-                    table: 'users',
-                    filter: `username=eq.${this.config.friendUser}`
-                }, payload => {
-                    this.handleUserStatusChange(payload.new);
-                })
-                .subscribe();
+        listen(event, handler) {
+            this.client.on(event, handler);
+            this.listeners.push([event, handler]);
         }
 
         /**
@@ -157,14 +5911,28 @@
             const buttonSelector = this.config.buttonSelector || '#voice-call';
             this.callButton = document.querySelector(buttonSelector);
             
-            if (!this.callButton) {
+            if (!this.callButton && this.config.friendUser) {
                 // Create default call button if not found
                 this.callButton = this.createCallButton();
+                this.createdCallButton = true;
                 document.body.appendChild(this.callButton);
             }
 
             // Add click event listener
-            this.callButton.addEventListener('click', () => this.initiateCall());
+            if (this.callButton) {
+                this.callButton.addEventListener('click', () => {
+                    this.client.call(this.callButton.dataset.voicelinkCall || this.config.friendUser);
+                });
+            }
+
+            // Any element with data-voicelink-call="username" starts a call to that contact
+            this.documentClickHandler = (event) => {
+                const target = event.target.closest && event.target.closest('[data-voicelink-call]');
+                if (target && target !== this.callButton) {
+                    this.client.call(target.dataset.voicelinkCall);
+                }
+            };
+            document.addEventListener('click', this.documentClickHandler);
 
             // Create audio elements
             this.createAudioElements();
@@ -211,6 +5979,14 @@
             return button;
         }
 
+        /**
+         * Stop caller and receiver ringtones
+         */
+        stopRinging() {
+            if (this.ringtoneAudio) this.ringtoneAudio.pause();
+            if (this.ringAudio) this.ringAudio.pause();
+        }
+
         /**
          * Create audio elements for ringtones
          */
@@ -255,95 +6031,411 @@
                     to { opacity: 1; }
                 }
 
-                @keyframes pulse {
-                    0%, 100% { transform: scale(1); }
-                    50% { transform: scale(1.05); }
+                @keyframes pulse {
+                    0%, 100% { transform: scale(1); }
+                    50% { transform: scale(1.05); }
+                }
+
+                .voicelink-avatar {
+                    width: 120px;
+                    height: 120px;
+                    border-radius: 50%;
+                    background: linear-gradient(135deg, #128C7E, #25D366);
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
+                    font-size: 48px;
+                    color: white;
+                    margin-bottom: 20px;
+                    animation: pulse 2s infinite;
+                    box-shadow: 0 8px 24px rgba(37, 211, 102, 0.3);
+                }
+
+                .voicelink-status-text {
+                    color: #E9EDEF;
+                    font-size: 24px;
+                    font-weight: 500;
+                    margin-bottom: 10px;
+                    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                }
+
+                .voicelink-user-text {
+                    color: #8696A0;
+                    font-size: 16px;
+                    margin-bottom: 40px;
+                    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                }
+
+                .voicelink-call-buttons {
+                    display: flex;
+                    gap: 20px;
+                }
+
+                .voicelink-btn {
+                    width: 60px;
+                    height: 60px;
+                    border-radius: 50%;
+                    border: none;
+                    cursor: pointer;
+                    font-size: 24px;
+                    transition: all 0.3s ease;
+                    box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
+                }
+
+                .voicelink-btn:hover {
+                    transform: translateY(-2px);
+                    box-shadow: 0 6px 16px rgba(0, 0, 0, 0.4);
+                }
+
+                .voicelink-btn-accept {
+                    background: #25D366;
+                    color: white;
+                }
+
+                .voicelink-btn-decline, .voicelink-btn-end {
+                    background: #F15C6D;
+                    color: white;
+                }
+
+                .voicelink-btn-mute, .voicelink-btn-speaker, .voicelink-btn-camera, .voicelink-btn-share {
+                    background: #2A3942;
+                    color: #E9EDEF;
+                }
+
+                .voicelink-btn-mute.active, .voicelink-btn-speaker.active, .voicelink-btn-camera.active, .voicelink-btn-share.active {
+                    background: #25D366;
+                }
+
+                .voicelink-videos {
+                    position: absolute;
+                    top: 0;
+                    left: 0;
+                    width: 100%;
+                    height: 100%;
+                    display: none;
+                    grid-template-columns: repeat(auto-fit, minmax(320px, 1fr));
+                    background: #0A0E11;
+                }
+
+                .voicelink-videos video {
+                    width: 100%;
+                    height: 100%;
+                    object-fit: cover;
+                }
+
+                .voicelink-local-video {
+                    display: none;
+                    position: absolute;
+                    right: 20px;
+                    bottom: 120px;
+                    width: 160px;
+                    height: 120px;
+                    object-fit: cover;
+                    border-radius: 12px;
+                    border: 2px solid #2A3942;
+                    transform: scaleX(-1);
+                    z-index: 2;
+                }
+
+                .voicelink-local-video.voicelink-local-screen {
+                    transform: none;
+                    object-fit: contain;
+                    background: #0A0E11;
+                }
+
+                .voicelink-video-call .voicelink-videos {
+                    display: grid;
+                }
+
+                .voicelink-video-call .voicelink-avatar {
+                    display: none;
+                }
+
+                .voicelink-video-call .voicelink-status-text,
+                .voicelink-video-call .voicelink-participants,
+                .voicelink-video-call .voicelink-duration,
+                .voicelink-video-call .voicelink-quality,
+                .voicelink-video-call .voicelink-hold-status,
+                .voicelink-video-call .voicelink-recording,
+                .voicelink-video-call .voicelink-devices,
+                .voicelink-video-call .voicelink-controls {
+                    position: relative;
+                    z-index: 1;
+                    text-shadow: 0 1px 4px rgba(0, 0, 0, 0.6);
+                }
+
+                .voicelink-video-call .voicelink-controls {
+                    margin-top: auto;
+                    margin-bottom: 30px;
+                }
+
+                .voicelink-controls {
+                    display: flex;
+                    gap: 15px;
+                    margin-top: 40px;
+                }
+
+                .voicelink-duration {
+                    color: #8696A0;
+                    font-size: 18px;
+                    margin-top: 20px;
+                    font-family: 'Courier New', monospace;
+                }
+
+                .voicelink-quality {
+                    color: #F15C6D;
+                    font-size: 14px;
+                    margin-top: 10px;
+                }
+
+                .voicelink-quality[hidden] {
+                    display: none;
+                }
+
+                .voicelink-hold-status {
+                    color: #FFB02E;
+                    font-size: 16px;
+                    margin-top: 10px;
+                }
+
+                .voicelink-hold-status[hidden],
+                .voicelink-btn[hidden] {
+                    display: none;
+                }
+
+                .voicelink-devices {
+                    display: flex;
+                    flex-direction: column;
+                    gap: 10px;
+                    margin-top: 20px;
+                    padding: 12px 16px;
+                    background: #202C33;
+                    border-radius: 12px;
+                    color: #8696A0;
+                    font-size: 14px;
+                }
+
+                .voicelink-devices[hidden],
+                .voicelink-devices label[hidden] {
+                    display: none;
+                }
+
+                .voicelink-devices label {
+                    display: flex;
+                    justify-content: space-between;
+                    align-items: center;
+                    gap: 10px;
+                }
+
+                .voicelink-devices select {
+                    max-width: 220px;
+                    padding: 6px;
+                    background: #111B21;
+                    color: #E9EDEF;
+                    border: 1px solid #2A3942;
+                    border-radius: 8px;
+                }
+
+                .voicelink-preflight-row {
+                    display: flex;
+                    justify-content: space-between;
+                    gap: 20px;
+                    width: 320px;
+                    margin-top: 20px;
+                    color: #E9EDEF;
+                    font-size: 15px;
+                }
+
+                .voicelink-preflight-status {
+                    color: #8696A0;
+                }
+
+                .voicelink-preflight-failed {
+                    color: #F15C6D;
+                }
+
+                .voicelink-meter {
+                    width: 320px;
+                    height: 6px;
+                    margin-top: 8px;
+                    background: #2A3942;
+                    border-radius: 3px;
+                    overflow: hidden;
+                }
+
+                .voicelink-meter-level {
+                    width: 0;
+                    height: 100%;
+                    background: #25D366;
+                    transition: width 0.1s linear;
+                }
+
+                .voicelink-preflight-close {
+                    margin-top: 40px;
+                    padding: 10px 24px;
+                    border: none;
+                    border-radius: 8px;
+                    background: #25D366;
+                    color: white;
+                    font-size: 15px;
+                    cursor: pointer;
+                }
+
+                .voicelink-preflight-close:disabled {
+                    opacity: 0.5;
+                    cursor: default;
+                }
+
+                .voicelink-recording {
+                    color: #F15C6D;
+                    font-size: 14px;
+                    font-weight: bold;
+                    margin-top: 10px;
+                }
+
+                .voicelink-recording[hidden] {
+                    display: none;
                 }
 
-                .voicelink-avatar {
-                    width: 120px;
-                    height: 120px;
-                    border-radius: 50%;
-                    background: linear-gradient(135deg, #128C7E, #25D366);
+                .voicelink-waiting,
+                .voicelink-consent {
+                    position: absolute;
+                    top: 20px;
+                    left: 50%;
+                    transform: translateX(-50%);
                     display: flex;
                     align-items: center;
-                    justify-content: center;
-                    font-size: 48px;
-                    color: white;
-                    margin-bottom: 20px;
-                    animation: pulse 2s infinite;
-                    box-shadow: 0 8px 24px rgba(37, 211, 102, 0.3);
+                    gap: 10px;
+                    padding: 12px 16px;
+                    background: #202C33;
+                    border-radius: 12px;
+                    box-shadow: 0 4px 12px rgba(0, 0, 0, 0.4);
+                    z-index: 3;
                 }
 
-                .voicelink-status-text {
+                .voicelink-consent {
+                    top: 90px;
+                }
+
+                .voicelink-waiting-text {
                     color: #E9EDEF;
-                    font-size: 24px;
-                    font-weight: 500;
-                    margin-bottom: 10px;
-                    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                    font-size: 15px;
                 }
 
-                .voicelink-user-text {
-                    color: #8696A0;
-                    font-size: 16px;
-                    margin-bottom: 40px;
+                .voicelink-waiting-btn {
+                    border: none;
+                    border-radius: 8px;
+                    padding: 8px 12px;
+                    color: white;
+                    font-size: 14px;
+                    cursor: pointer;
+                }
+
+                .voicelink-btn-waiting-decline,
+                .voicelink-btn-consent-deny {
+                    background: #F15C6D;
+                }
+
+                .voicelink-btn-waiting-answer,
+                .voicelink-btn-consent-allow {
+                    background: #25D366;
+                }
+
+                .voicelink-recording-player {
+                    display: inline-flex;
+                    align-items: center;
+                    gap: 8px;
+                    padding: 6px 10px;
+                    background: #202C33;
+                    border-radius: 12px;
+                    color: #E9EDEF;
+                    font-size: 13px;
                     font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
                 }
 
-                .voicelink-call-buttons {
-                    display: flex;
-                    gap: 20px;
+                .voicelink-recording-player audio {
+                    height: 32px;
+                    max-width: 240px;
                 }
 
-                .voicelink-btn {
-                    width: 60px;
-                    height: 60px;
-                    border-radius: 50%;
+                .voicelink-recording-player button {
+                    background: none;
                     border: none;
+                    color: inherit;
+                    font-size: 13px;
                     cursor: pointer;
-                    font-size: 24px;
-                    transition: all 0.3s ease;
-                    box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
-                    display: flex;
-                    align-items: center;
-                    justify-content: center;
                 }
 
-                .voicelink-btn:hover {
-                    transform: translateY(-2px);
-                    box-shadow: 0 6px 16px rgba(0, 0, 0, 0.4);
+                .voicelink-recording-player a {
+                    color: #53BDEB;
+                    text-decoration: none;
                 }
 
-                .voicelink-btn-accept {
-                    background: #25D366;
-                    color: white;
+                .voicelink-recording-player [hidden] {
+                    display: none;
                 }
 
-                .voicelink-btn-decline, .voicelink-btn-end {
-                    background: #F15C6D;
-                    color: white;
+                .voicelink-call-log {
+                    display: flex;
+                    flex-direction: column;
+                    gap: 6px;
                 }
 
-                .voicelink-btn-mute, .voicelink-btn-speaker {
-                    background: #2A3942;
+                .voicelink-call-log-entry {
+                    display: flex;
+                    align-items: center;
+                    gap: 8px;
+                    max-width: 280px;
+                    padding: 8px 12px;
+                    border-radius: 8px;
+                    background: #202C33;
                     color: #E9EDEF;
+                    font-size: 14px;
+                    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                    align-self: flex-start;
                 }
 
-                .voicelink-btn-mute.active, .voicelink-btn-speaker.active {
-                    background: #25D366;
+                .voicelink-call-log-entry.outgoing {
+                    background: #005C4B;
+                    align-self: flex-end;
                 }
 
-                .voicelink-controls {
+                .voicelink-call-log-entry.missed .voicelink-call-log-icon {
+                    color: #F15C6D;
+                }
+
+                .voicelink-call-log-entry.unseen .voicelink-call-log-text {
+                    font-weight: bold;
+                }
+
+                .voicelink-call-log-time {
+                    margin-left: auto;
+                    color: #8696A0;
+                    font-size: 12px;
+                }
+
+                .voicelink-participants {
                     display: flex;
-                    gap: 15px;
-                    margin-top: 40px;
+                    flex-wrap: wrap;
+                    justify-content: center;
+                    gap: 8px;
+                    max-width: 360px;
                 }
 
-                .voicelink-duration {
+                .voicelink-participant {
+                    background: #2A3942;
+                    color: #E9EDEF;
+                    padding: 6px 12px;
+                    border-radius: 16px;
+                    font-size: 14px;
+                    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                }
+
+                .voicelink-participant.invited {
                     color: #8696A0;
-                    font-size: 18px;
-                    margin-top: 20px;
-                    font-family: 'Courier New', monospace;
                 }
 
                 .voicelink-call-button.pulsing {
@@ -372,237 +6464,51 @@
         }
 
         /**
-         * Check if friend is online and available
-         */
-        async checkFriendStatus() {
-            try {
-                const { data, error } = await this.supabase
-                    .from('users')
-                    .select('is_online, is_busy')
-                    .eq('username', this.config.friendUser)
-                    .single();
-
-                if (error) throw error;
-                
-                return data;
-            } catch (error) {
-                console.error('Error checking friend status:', error);
-                return { is_online: false, is_busy: false };
-            }
-        }
-
-        /**
-         * Initiate a call
+         * Follow the call status: ring while calling, tidy up when idle
          */
-        async initiateCall() {
-            if (this.callStatus !== 'idle') {
-                console.log('Already in a call');
-                return;
-            }
-
-            // Check if friend is online
-            const friendStatus = await this.checkFriendStatus();
-            
-            if (!friendStatus.is_online) {
-                this.showNotification('User is offline', 'error');
-                return;
-            }
-
-            if (friendStatus.is_busy) {
-                this.showNotification('User is busy', 'error');
-                return;
-            }
-
-            try {
-                // Set self as busy
-                await this.updateUserStatus(true, true);
-                
-                // Get or create room
-                const { data: roomData } = await this.supabase
-                    .rpc('get_or_create_room', {
-                        user_a: this.config.currentUser,
-                        user_b: this.config.friendUser
-                    });
-
-                this.currentRoomId = roomData;
-
-                // Create call record
-                const { data: callData, error: callError } = await this.supabase
-                    .from('calls')
-                    .insert({
-                        room_id: this.currentRoomId,
-                        caller_username: this.config.currentUser,
-                        receiver_username: this.config.friendUser,
-                        call_status: 'calling'
-                    })
-                    .select()
-                    .single();
-
-                if (callError) throw callError;
-
-                this.currentCallId = callData.id;
-                this.isInitiator = true;
-                this.callStatus = 'calling';
-
-                // Show calling UI
+        handleCallStateChange(status, previous) {
+            if (status === 'calling') {
                 this.showCallingOverlay();
 
-                // Set up WebRTC
-                await this.setupWebRTC();
-
                 // Play ringtone
-                this.ringtoneAudio.play();
+                if (this.ringtoneAudio) {
+                    this.ringtoneAudio.play();
+                }
 
                 // Vibrate if supported
                 if ('vibrate' in navigator) {
                     navigator.vibrate([200, 100, 200]);
                 }
-
-            } catch (error) {
-                console.error('Error initiating call:', error);
-                this.showNotification('Failed to initiate call', 'error');
-                await this.endCall();
-            }
-        }
-
-        /**
-         * Set up WebRTC peer connection
-         */
-        async setupWebRTC() {
-            try {
-                // Get user media with audio constraints for noise suppression and echo cancellation
-                this.localStream = await navigator.mediaDevices.getUserMedia({
-                    audio: {
-                        echoCancellation: true,
-                        noiseSuppression: true,
-                        autoGainControl: true
-                    },
-                    video: false
-                });
-
-                // Create peer connection
-                const configuration = {
-                    iceServers: [
-                        { urls: 'stun:stun.l.google.com:19302' },
-                        { urls: 'stun:stun1.l.google.com:19302' }
-                    ]
-                };
-
-                this.peerConnection = new RTCPeerConnection(configuration);
-
-                // Add local stream tracks
-                this.localStream.getTracks().forEach(track => {
-                    this.peerConnection.addTrack(track, this.localStream);
-                });
-
-                // Handle remote stream
-                this.peerConnection.ontrack = (event) => {
-                    this.remoteStream = event.streams[0];
-                    this.playRemoteAudio();
-                };
-
-                // Handle ICE candidates
-                this.peerConnection.onicecandidate = (event) => {
-                    if (event.candidate) {
-                        this.sendSignal('ice-candidate', event.candidate);
-                    }
-                };
-
-                // Handle connection state changes
-                this.peerConnection.onconnectionstatechange = () => {
-                    console.log('Connection state:', this.peerConnection.connectionState);
-                    
-                    if (this.peerConnection.connectionState === 'connected') {
-                        this.onCallConnected();
-                    } else if (this.peerConnection.connectionState === 'failed') {
-                        this.handleConnectionFailure();
-                    } else if (this.peerConnection.connectionState === 'disconnected') {
-                        this.handleDisconnection();
-                    }
-                };
-
-                // If initiator, create offer
-                if (this.isInitiator) {
-                    const offer = await this.peerConnection.createOffer();
-                    await this.peerConnection.setLocalDescription(offer);
-                    await this.sendSignal('offer', offer);
+            } else if (status === 'connecting') {
+                this.stopRinging();
+                if (this.incomingCallOverlay) {
+                    this.incomingCallOverlay.remove();
+                    this.incomingCallOverlay = null;
                 }
-
-            } catch (error) {
-                console.error('Error setting up WebRTC:', error);
-                this.showNotification('Failed to access microphone', 'error');
-                await this.endCall();
-            }
-        }
-
-        /**
-         * Send signaling data through Supabase
-         */
-        async sendSignal(type, data) {
-            try {
-                await this.supabase
-                    .from('signaling')
-                    .insert({
-                        call_id: this.currentCallId,
-                        sender_username: this.config.currentUser,
-                        receiver_username: this.config.friendUser,
-                        signal_type: type,
-                        signal_data: data
-                    });
-            } catch (error) {
-                console.error('Error sending signal:', error);
-            }
-        }
-
-        /**
-         * Handle incoming signals
-         */
-        async handleSignal(signal) {
-            if (signal.call_id !== this.currentCallId) return;
-
-            try {
-                if (signal.signal_type === 'offer' && !this.isInitiator) {
-                    await this.peerConnection.setRemoteDescription(new RTCSessionDescription(signal.signal_data));
-                    const answer = await this.peerConnection.createAnswer();
-                    await this.peerConnection.setLocalDescription(answer);
-                    await this.sendSignal('answer', answer);
-                } else if (signal.signal_type === 'answer' && this.isInitiator) {
-                    await this.peerConnection.setRemoteDescription(new RTCSessionDescription(signal.signal_data));
-                } else if (signal.signal_type === 'ice-candidate') {
-                    await this.peerConnection.addIceCandidate(new RTCIceCandidate(signal.signal_data));
+                this.updateCallingOverlayStatus('Connecting...');
+            } else if (status === 'held' || (status === 'connected' && previous === 'held')) {
+                // A held call coming back after a waiting one needs its overlay again
+                if (this.activeCallOverlay) {
+                    this.updateControls();
+                } else {
+                    this.handleConnected();
                 }
-            } catch (error) {
-                console.error('Error handling signal:', error);
+            } else if (status === 'idle') {
+                this.reset();
             }
         }
 
         /**
-         * Handle incoming call
+         * Ring for an incoming call or group invite
          */
-        async handleIncomingCall(call) {
-            if (call.caller_username === this.config.currentUser) return;
-            if (call.receiver_username !== this.config.currentUser) return;
-
-            this.currentCallId = call.id;
-            this.currentRoomId = call.room_id;
-            this.isInitiator = false;
-
-            // Check if already busy
-            if (this.callStatus !== 'idle') {
-                await this.updateCallStatus('busy');
-                return;
-            }
-
-            this.callStatus = 'ringing';
-
-            // Update call status to ringing
-            await this.updateCallStatus('ringing');
-
+        handleIncoming({ from, video, isGroup }) {
             // Show incoming call UI
-            this.showIncomingCallOverlay(call.caller_username);
+            this.showIncomingCallOverlay(from, isGroup, video);
 
             // Play ring sound
-            this.ringAudio.play();
+            if (this.ringAudio) {
+                this.ringAudio.play();
+            }
 
             // Vibrate
             if ('vibrate' in navigator) {
@@ -612,429 +6518,596 @@
             }
 
             // Show notification
-            this.showSystemNotification('Incoming Call', `${call.caller_username} is calling you`);
+            if (isGroup) {
+                this.showSystemNotification('Incoming Group Call', `${from} is inviting you to a group call`);
+            } else {
+                this.showSystemNotification(video ? 'Incoming Video Call' : 'Incoming Call', `${from} is calling you`);
+            }
         }
 
         /**
-         * Accept incoming call
+         * Swap the calling overlay for the active call controls
          */
-        async acceptCall() {
-            try {
-                // Stop ringing
-                this.ringAudio.pause();
-                if (this.vibrateInterval) {
-                    clearInterval(this.vibrateInterval);
-                }
+        handleConnected() {
+            // Stop ringtones
+            this.stopRinging();
 
-                // Set as busy
-                await this.updateUserStatus(true, true);
+            // Hide calling overlay (or the held call's controls), show active call UI
+            if (this.callOverlay) {
+                this.callOverlay.remove();
+                this.callOverlay = null;
+            }
+            if (this.activeCallOverlay) {
+                this.activeCallOverlay.remove();
+                clearInterval(this.durationInterval);
+            }
 
-                // Update call status
-                await this.updateCallStatus('accepted');
-                this.callStatus = 'accepted';
+            this.showActiveCallOverlay();
 
-                // Set up WebRTC
-                await this.setupWebRTC();
+            // Start duration timer
+            this.startDurationTimer();
+        }
 
-                // Hide incoming call overlay
-                if (this.incomingCallOverlay) {
-                    this.incomingCallOverlay.remove();
-                    this.incomingCallOverlay = null;
-                }
+        /**
+         * Show calling overlay
+         */
+        showCallingOverlay() {
+            const { isGroup, remoteUser } = this.client.getState();
 
-            } catch (error) {
-                console.error('Error accepting call:', error);
-                await this.endCall();
+            this.callOverlay = document.createElement('div');
+            this.callOverlay.className = 'voicelink-overlay';
+            this.callOverlay.innerHTML = `
+                <div class="voicelink-avatar">👤</div>
+                <div class="voicelink-status-text">Calling...</div>
+                <div class="voicelink-user-text"></div>
+                <div class="voicelink-call-buttons">
+                    <button class="voicelink-btn voicelink-btn-decline">📞</button>
+                </div>
+            `;
+            this.callOverlay.querySelector('.voicelink-user-text').textContent =
+                isGroup ? this.client.getParticipantNames().join(', ') : remoteUser;
+            this.bind(this.callOverlay, '.voicelink-btn-decline', () => this.client.hangup());
+            document.body.appendChild(this.callOverlay);
+        }
+
+        /**
+         * Update calling overlay status
+         */
+        updateCallingOverlayStatus(status) {
+            if (this.callOverlay) {
+                const statusText = this.callOverlay.querySelector('.voicelink-status-text');
+                if (statusText) {
+                    statusText.textContent = status;
+                }
             }
         }
 
         /**
-         * Decline incoming call
+         * Show incoming call overlay
+         */
+        showIncomingCallOverlay(callerName, isGroup, video) {
+            this.incomingCallOverlay = document.createElement('div');
+            this.incomingCallOverlay.className = 'voicelink-overlay';
+            this.incomingCallOverlay.innerHTML = `
+                <div class="voicelink-avatar">👤</div>
+                <div class="voicelink-status-text">${isGroup ? 'Incoming Group Call' : video ? 'Incoming Video Call' : 'Incoming Call'}</div>
+                <div class="voicelink-user-text"></div>
+                <div class="voicelink-call-buttons">
+                    <button class="voicelink-btn voicelink-btn-accept">✓</button>
+                    <button class="voicelink-btn voicelink-btn-decline">✗</button>
+                </div>
+            `;
+            this.incomingCallOverlay.querySelector('.voicelink-user-text').textContent = callerName;
+            this.bind(this.incomingCallOverlay, '.voicelink-btn-accept', () => this.client.accept());
+            this.bind(this.incomingCallOverlay, '.voicelink-btn-decline', () => this.client.decline());
+            document.body.appendChild(this.incomingCallOverlay);
+        }
+
+        /**
+         * Show active call overlay
          */
-        async declineCall() {
-            // Stop ringing
-            this.ringAudio.pause();
-            if (this.vibrateInterval) {
-                clearInterval(this.vibrateInterval);
-            }
-
-            await this.updateCallStatus('declined');
-            
-            // Hide incoming call overlay
-            if (this.incomingCallOverlay) {
-                this.incomingCallOverlay.remove();
-                this.incomingCallOverlay = null;
-            }
+        showActiveCallOverlay() {
+            const { isGroup, remoteUser } = this.client.getState();
 
-            this.cleanup();
+            this.activeCallOverlay = document.createElement('div');
+            this.activeCallOverlay.className = 'voicelink-overlay';
+            this.activeCallOverlay.innerHTML = `
+                <div class="voicelink-videos"></div>
+                <video class="voicelink-local-video" autoplay playsinline muted></video>
+                <div class="voicelink-avatar">👤</div>
+                <div class="voicelink-status-text"></div>
+                <div class="voicelink-participants"></div>
+                <div class="voicelink-duration">00:00</div>
+                <div class="voicelink-recording" hidden>● REC</div>
+                <div class="voicelink-hold-status" hidden></div>
+                <div class="voicelink-quality" hidden></div>
+                <div class="voicelink-controls">
+                    <button class="voicelink-btn voicelink-btn-mute">🎤</button>
+                    <button class="voicelink-btn voicelink-btn-camera">📷</button>
+                    <button class="voicelink-btn voicelink-btn-share">🖥️</button>
+                    <button class="voicelink-btn voicelink-btn-hold">⏸️</button>
+                    <button class="voicelink-btn voicelink-btn-end">📞</button>
+                    <button class="voicelink-btn voicelink-btn-speaker">🔊</button>
+                    <button class="voicelink-btn voicelink-btn-devices">⚙️</button>
+                </div>
+                <div class="voicelink-devices" hidden>
+                    <label>Microphone <select class="voicelink-input-select"></select></label>
+                    <label class="voicelink-output-label">Speaker <select class="voicelink-output-select"></select></label>
+                </div>
+            `;
+            this.activeCallOverlay.querySelector('.voicelink-status-text').textContent = isGroup ? 'Group Call' : remoteUser;
+            this.bind(this.activeCallOverlay, '.voicelink-btn-mute', () => this.client.toggleMute());
+            this.bind(this.activeCallOverlay, '.voicelink-btn-hold', () => this.client.toggleHold());
+            this.bind(this.activeCallOverlay, '.voicelink-btn-camera', () => this.client.toggleCamera());
+            this.bind(this.activeCallOverlay, '.voicelink-btn-share', () => this.client.toggleScreenShare());
+            this.bind(this.activeCallOverlay, '.voicelink-btn-end', () => this.client.hangup());
+            this.bind(this.activeCallOverlay, '.voicelink-btn-speaker', () => this.client.toggleSpeaker());
+            this.bind(this.activeCallOverlay, '.voicelink-btn-devices', () => this.toggleDevicePanel());
+            this.activeCallOverlay.querySelector('.voicelink-input-select')
+                .addEventListener('change', event => this.client.setInputDevice(event.target.value));
+            this.activeCallOverlay.querySelector('.voicelink-output-select')
+                .addEventListener('change', event => this.client.setOutputDevice(event.target.value));
+            document.body.appendChild(this.activeCallOverlay);
+            this.renderParticipants();
+            this.updateControls();
+            this.updateQualityIndicator();
+            this.updateRecordingIndicator();
         }
 
         /**
-         * Handle call status updates
+         * Ask whether this call may be recorded (recording: 'ask')
          */
-        async handleCallStatusUpdate(call) {
-            if (call.id !== this.currentCallId) return;
-
-            if (call.call_status === 'ringing' && this.isInitiator) {
-                this.callStatus = 'ringing';
-                this.updateCallingOverlayStatus('Ringing...');
-            } else if (call.call_status === 'accepted') {
-                this.callStatus = 'accepted';
-            } else if (call.call_status === 'declined') {
-                this.showNotification('Call declined', 'info');
-                await this.endCall();
-            } else if (call.call_status === 'busy') {
-                this.showNotification('User is busy', 'error');
-                await this.endCall();
-            } else if (call.call_status === 'ended') {
-                await this.endCall();
-            }
+        showConsentPrompt() {
+            if (!this.activeCallOverlay) return;
+
+            const prompt = document.createElement('div');
+            prompt.className = 'voicelink-consent';
+            prompt.innerHTML = `
+                <div class="voicelink-waiting-text">Allow this call to be recorded?</div>
+                <button class="voicelink-waiting-btn voicelink-btn-consent-deny">Don't allow</button>
+                <button class="voicelink-waiting-btn voicelink-btn-consent-allow">Allow</button>
+            `;
+            const answer = consent => {
+                prompt.remove();
+                this.client.setRecordingConsent(consent);
+            };
+            this.bind(prompt, '.voicelink-btn-consent-deny', () => answer(false));
+            this.bind(prompt, '.voicelink-btn-consent-allow', () => answer(true));
+            this.activeCallOverlay.appendChild(prompt);
         }
 
         /**
-         * When call is connected
+         * Show the REC badge while the call is being recorded
          */
-        async onCallConnected() {
-            // Stop ringtones
-            this.ringtoneAudio.pause();
-            this.ringAudio.pause();
-
-            this.callStartTime = Date.now();
-            
-            // Hide calling overlay, show active call UI
-            if (this.callOverlay) {
-                this.callOverlay.remove();
-                this.callOverlay = null;
+        updateRecordingIndicator() {
+            const indicator = this.activeCallOverlay && this.activeCallOverlay.querySelector('.voicelink-recording');
+            if (indicator) {
+                indicator.hidden = !this.client.getState().isRecording;
             }
-
-            this.showActiveCallOverlay();
-
-            // Start call recording
-            await this.startCallRecording();
-
-            // Start duration timer
-            this.startDurationTimer();
         }
 
         /**
-         * Start call recording
+         * Build a play / download / delete control for a call recording;
+         * the recording is only fetched once play is pressed
+         * @param {string} callId - Recorded call
+         * @returns {HTMLElement}
          */
-        async startCallRecording() {
-            try {
-                // Combine local and remote streams
-                const combinedStream = new MediaStream();
-                
-                if (this.localStream) {
-                    this.localStream.getAudioTracks().forEach(track => {
-                        combinedStream.addTrack(track);
-                    });
-                }
-                
-                if (this.remoteStream) {
-                    this.remoteStream.getAudioTracks().forEach(track => {
-                        combinedStream.addTrack(track);
-                    });
-                }
-
-                this.mediaRecorder = new MediaRecorder(combinedStream, {
-                    mimeType: 'audio/webm'
-                });
+        createRecordingPlayer(callId) {
+            this.injectStyles();
 
-                this.mediaRecorder.ondataavailable = (event) => {
-                    if (event.data.size > 0) {
-                        this.recordedChunks.push(event.data);
-                    }
-                };
+            const player = document.createElement('div');
+            player.className = 'voicelink-recording-player';
+            player.dataset.callId = callId;
+            player.innerHTML = `
+                <button class="voicelink-btn-recording-play">▶ Play recording</button>
+                <audio controls hidden></audio>
+                <a class="voicelink-recording-download" download="call-${callId}.webm" hidden>Download</a>
+                <button class="voicelink-btn-recording-delete" title="Delete recording">🗑️</button>
+                <span class="voicelink-recording-status"></span>
+            `;
 
-                this.mediaRecorder.onstop = async () => {
-                    await this.uploadRecording();
-                };
+            const play = player.querySelector('.voicelink-btn-recording-play');
+            const audio = player.querySelector('audio');
+            const download = player.querySelector('.voicelink-recording-download');
+            const status = player.querySelector('.voicelink-recording-status');
+
+            this.bind(player, '.voicelink-btn-recording-play', async () => {
+                play.disabled = true;
+                status.textContent = 'Loading...';
+                try {
+                    const url = await this.client.getRecordingUrl(callId);
+                    audio.src = url;
+                    download.href = url;
+                    play.hidden = true;
+                    audio.hidden = false;
+                    download.hidden = false;
+                    status.textContent = '';
+                    audio.play().catch(() => {});
+                } catch (error) {
+                    console.error('Error loading recording:', error);
+                    status.textContent = 'Recording unavailable';
+                    play.disabled = false;
+                }
+            });
 
-                this.mediaRecorder.start();
+            this.bind(player, '.voicelink-btn-recording-delete', async () => {
+                if (!window.confirm('Delete this recording?')) return;
 
-                // Create recording record in database
-                await this.supabase
-                    .from('call_recordings')
-                    .insert({
-                        call_id: this.currentCallId,
-                        storage_path: `recordings/${this.currentCallId}.webm`,
-                        recording_status: 'recording'
-                    });
+                if (await this.client.deleteRecording(callId)) {
+                    if (audio.src.startsWith('blob:')) {
+                        URL.revokeObjectURL(audio.src);
+                    }
+                    player.remove();
+                } else {
+                    status.textContent = 'Could not delete';
+                }
+            });
 
-            } catch (error) {
-                console.error('Error starting call recording:', error);
-            }
+            return player;
         }
 
         /**
-         * Upload recording to Supabase Storage
+         * Fill a host container with one bubble per call, oldest first
+         * @param {HTMLElement} container - Replaced with the call log
+         * @param {Object[]} calls - VoiceLink#getCallHistory entries, newest first
          */
-        async uploadRecording() {
-            if (this.recordedChunks.length === 0) return;
+        renderCallLog(container, calls) {
+            this.injectStyles();
 
-            try {
-                const blob = new Blob(this.recordedChunks, { type: 'audio/webm' });
-                const fileName = `${this.currentCallId}.webm`;
-                const filePath = `recordings/${fileName}`;
-
-                // Upload to Supabase Storage
-                const { data, error } = await this.supabase.storage
-                    .from('call-recordings')
-                    .upload(filePath, blob, {
-                        contentType: 'audio/webm',
-                        upsert: true
-                    });
+            container.classList.add('voicelink-call-log');
+            container.innerHTML = '';
 
-                if (error) throw error;
+            [...calls].reverse().forEach(entry => {
+                const bubble = document.createElement('div');
+                bubble.className = `voicelink-call-log-entry ${entry.direction} ${entry.outcome}${entry.unseen ? ' unseen' : ''}`;
+                bubble.dataset.callId = entry.callId;
 
-                // Update recording record
-                const duration = Math.floor((Date.now() - this.callStartTime) / 1000);
-                await this.supabase
-                    .from('call_recordings')
-                    .update({
-                        file_size: blob.size,
-                        duration: duration,
-                        recording_status: 'completed'
-                    })
-                    .eq('call_id', this.currentCallId);
+                const icon = document.createElement('span');
+                icon.className = 'voicelink-call-log-icon';
+                icon.textContent = `${entry.video ? '📹' : '📞'}${entry.direction === 'incoming' ? '↙' : '↗'}`;
 
-                console.log('Recording uploaded successfully');
+                const text = document.createElement('span');
+                text.className = 'voicelink-call-log-text';
+                text.textContent = this.describeCall(entry);
 
-            } catch (error) {
-                console.error('Error uploading recording:', error);
-                
-                // Update recording status to failed
-                await this.supabase
-                    .from('call_recordings')
-                    .update({ recording_status: 'failed' })
-                    .eq('call_id', this.currentCallId);
-            }
+                const time = document.createElement('span');
+                time.className = 'voicelink-call-log-time';
+                time.textContent = new Date(entry.startTime).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+                time.title = new Date(entry.startTime).toLocaleString();
+
+                bubble.append(icon, text, time);
+                container.appendChild(bubble);
+            });
         }
 
         /**
-         * Play remote audio
+         * One-line summary of a call history entry, e.g. "Missed voice call"
          */
-        playRemoteAudio() {
-            const audioElement = document.createElement('audio');
-            audioElement.srcObject = this.remoteStream;
-            audioElement.autoplay = true;
-            audioElement.id = 'voicelink-remote-audio';
-            document.body.appendChild(audioElement);
+        describeCall(entry) {
+            const kind = `${entry.isGroup ? 'group ' : ''}${entry.video ? 'video' : 'voice'} call`;
+            const Kind = kind.charAt(0).toUpperCase() + kind.slice(1);
+
+            switch (entry.outcome) {
+                case 'completed': {
+                    const minutes = Math.floor(entry.duration / 60);
+                    const seconds = (entry.duration % 60).toString().padStart(2, '0');
+                    return `${Kind} · ${minutes}:${seconds}`;
+                }
+                case 'missed':
+                    return entry.direction === 'incoming' ? `Missed ${kind}` : `${Kind} · No answer`;
+                case 'declined':
+                    return `${Kind} · Declined`;
+                case 'busy':
+                    return `${Kind} · Busy`;
+                case 'cancelled':
+                    return `Cancelled ${kind}`;
+                default:
+                    return `${Kind} · Ongoing`;
+            }
         }
 
         /**
-         * Toggle mute
+         * Show a second caller in the active call overlay
          */
-        toggleMute() {
-            if (!this.localStream) return;
-
-            this.isMuted = !this.isMuted;
-            this.localStream.getAudioTracks().forEach(track => {
-                track.enabled = !this.isMuted;
+        showWaitingBanner(from, video) {
+            if (!this.activeCallOverlay) return;
+            this.removeWaitingBanner();
+
+            const banner = document.createElement('div');
+            banner.className = 'voicelink-waiting';
+            banner.innerHTML = `
+                <div class="voicelink-waiting-text"></div>
+                <button class="voicelink-waiting-btn voicelink-btn-waiting-decline">Decline</button>
+                <button class="voicelink-waiting-btn voicelink-btn-waiting-answer">Hold &amp; Answer</button>
+            `;
+            banner.querySelector('.voicelink-waiting-text').textContent = `${from} is calling${video ? ' (video)' : ''}`;
+            this.bind(banner, '.voicelink-btn-waiting-decline', () => this.client.declineWaitingCall());
+            this.bind(banner, '.voicelink-btn-waiting-answer', () => {
+                this.removeWaitingBanner();
+                this.client.answerWaitingCall();
             });
+            this.activeCallOverlay.appendChild(banner);
 
-            // Update button UI
-            const muteBtn = document.querySelector('.voicelink-btn-mute');
-            if (muteBtn) {
-                muteBtn.classList.toggle('active', this.isMuted);
-                muteBtn.innerHTML = this.isMuted ? '🔇' : '🎤';
+            if ('vibrate' in navigator) {
+                navigator.vibrate([200, 100, 200]);
             }
+            this.showSystemNotification('Call Waiting', `${from} is calling you`);
         }
 
         /**
-         * Toggle speaker
+         * Remove the call waiting banner
          */
-        toggleSpeaker() {
-            const audioElement = document.getElementById('voicelink-remote-audio');
-            if (!audioElement) return;
-
-            this.isSpeakerOn = !this.isSpeakerOn;
-            audioElement.volume = this.isSpeakerOn ? 1.0 : 0.0;
-
-            // Update button UI
-            const speakerBtn = document.querySelector('.voicelink-btn-speaker');
-            if (speakerBtn) {
-                speakerBtn.classList.toggle('active', !this.isSpeakerOn);
-                speakerBtn.innerHTML = this.isSpeakerOn ? '🔊' : '🔈';
+        removeWaitingBanner() {
+            const banner = this.activeCallOverlay && this.activeCallOverlay.querySelector('.voicelink-waiting');
+            if (banner) {
+                banner.remove();
             }
         }
 
         /**
-         * End call
+         * Show the preflight checks as they run
          */
-        async endCall() {
-            try {
-                // Stop recording
-                if (this.mediaRecorder && this.mediaRecorder.state === 'recording') {
-                    this.mediaRecorder.stop();
-                }
+        showPreflightOverlay() {
+            this.injectStyles();
+            this.removePreflightOverlay();
 
-                // Stop ringtones
-                this.ringtoneAudio.pause();
-                this.ringAudio.pause();
-                if (this.vibrateInterval) {
-                    clearInterval(this.vibrateInterval);
-                }
+            const row = (step, label) => `
+                <div class="voicelink-preflight-row" data-step="${step}">
+                    <span class="voicelink-preflight-label">${label}</span>
+                    <span class="voicelink-preflight-status">Waiting...</span>
+                </div>
+            `;
 
-                // Update call status
-                if (this.currentCallId) {
-                    const duration = this.callStartTime ? Math.floor((Date.now() - this.callStartTime) / 1000) : 0;
-                    
-                    await this.supabase
-                        .from('calls')
-                        .update({
-                            call_status: 'ended',
-                            end_time: new Date().toISOString(),
-                            duration: duration
-                        })
-                        .eq('id', this.currentCallId);
+            this.preflightOverlay = document.createElement('div');
+            this.preflightOverlay.className = 'voicelink-overlay voicelink-preflight';
+            this.preflightOverlay.innerHTML = `
+                <div class="voicelink-status-text">Checking your setup</div>
+                ${row('microphone', '🎤 Microphone')}
+                <div class="voicelink-meter"><div class="voicelink-meter-level"></div></div>
+                ${row('output', '🔊 Speaker')}
+                ${row('network', '🌐 Network')}
+                <button class="voicelink-preflight-close" disabled>Close</button>
+            `;
+            this.bind(this.preflightOverlay, '.voicelink-preflight-close', () => this.removePreflightOverlay());
+            document.body.appendChild(this.preflightOverlay);
+        }
 
-                    // Clean up signaling data
-                    await this.supabase
-                        .from('signaling')
-                        .delete()
-                        .eq('call_id', this.currentCallId);
-                }
+        /**
+         * Reflect one preflight progress update
+         * @param {Object} update - { step, status, level, result }
+         */
+        updatePreflightOverlay({ step, status, level, result }) {
+            if (!this.preflightOverlay) return;
 
-                // Clean up
-                this.cleanup();
+            const statusEl = this.preflightOverlay.querySelector(`[data-step="${step}"] .voicelink-preflight-status`);
+            if (level !== undefined) {
+                const meter = this.preflightOverlay.querySelector('.voicelink-meter-level');
+                meter.style.width = `${Math.min(100, Math.round(level * 400))}%`;
+            }
 
-            } catch (error) {
-                console.error('Error ending call:', error);
-                this.cleanup();
+            if (status === 'running') {
+                statusEl.textContent = {
+                    microphone: 'Say something...',
+                    output: 'Playing a test tone...',
+                    network: 'Checking...'
+                }[step];
+                return;
+            }
+
+            statusEl.classList.toggle('voicelink-preflight-failed', !result.ok);
+            if (!result.ok) {
+                statusEl.textContent = `✗ ${result.error}`;
+            } else if (step === 'network') {
+                statusEl.textContent = `✓ Connected${result.rtt !== null ? ` (${result.rtt} ms)` : ''}${result.turn ? ', TURN reachable' : ''}`;
+            } else {
+                statusEl.textContent = step === 'output' ? '✓ Tone played' : '✓ Working';
             }
         }
 
         /**
-         * Handle connection failure
+         * Sum up the preflight and let the user close the overlay
          */
-        async handleConnectionFailure() {
-            if (this.reconnectAttempts < this.maxReconnectAttempts) {
-                this.reconnectAttempts++;
-                console.log(`Attempting to reconnect (${this.reconnectAttempts}/${this.maxReconnectAttempts})...`);
-                
-                // Try to reconnect
-                await this.setupWebRTC();
-            } else {
-                this.showNotification('Connection failed', 'error');
-                await this.endCall();
+        showPreflightResult(result) {
+            if (!this.preflightOverlay) return;
+
+            this.preflightOverlay.querySelector('.voicelink-status-text').textContent =
+                result.ok ? 'Ready for calls' : 'Some checks failed';
+            this.preflightOverlay.querySelector('.voicelink-preflight-close').disabled = false;
+        }
+
+        removePreflightOverlay() {
+            if (this.preflightOverlay) {
+                this.preflightOverlay.remove();
+                this.preflightOverlay = null;
             }
         }
 
         /**
-         * Handle disconnection
+         * Show or hide the microphone and speaker pickers
          */
-        async handleDisconnection() {
-            if (this.callStatus === 'accepted') {
-                // Try to reconnect
-                await this.handleConnectionFailure();
+        async toggleDevicePanel() {
+            const panel = this.activeCallOverlay && this.activeCallOverlay.querySelector('.voicelink-devices');
+            if (!panel) return;
+
+            panel.hidden = !panel.hidden;
+            this.activeCallOverlay.querySelector('.voicelink-btn-devices').classList.toggle('active', !panel.hidden);
+
+            if (!panel.hidden) {
+                try {
+                    this.renderDevices(await this.client.listDevices());
+                } catch (error) {
+                    console.error('Error listing devices:', error);
+                }
             }
         }
 
         /**
-         * Update call status in database
+         * Fill the device pickers
+         * @param {Object} devices - Result of listDevices()
          */
-        async updateCallStatus(status) {
-            try {
-                await this.supabase
-                    .from('calls')
-                    .update({ call_status: status })
-                    .eq('id', this.currentCallId);
-            } catch (error) {
-                console.error('Error updating call status:', error);
-            }
+        renderDevices({ inputs, outputs, inputId, outputId }) {
+            const panel = this.activeCallOverlay && this.activeCallOverlay.querySelector('.voicelink-devices');
+            if (!panel || panel.hidden) return;
+
+            const fill = (select, devices, selectedId, fallbackLabel) => {
+                select.innerHTML = '';
+                devices.forEach((device, index) => {
+                    const option = document.createElement('option');
+                    option.value = device.deviceId;
+                    option.textContent = device.label || `${fallbackLabel} ${index + 1}`;
+                    select.appendChild(option);
+                });
+                select.value = selectedId || (devices[0] ? devices[0].deviceId : '');
+            };
+
+            fill(panel.querySelector('.voicelink-input-select'), inputs, inputId, 'Microphone');
+            fill(panel.querySelector('.voicelink-output-select'), outputs, outputId, 'Speaker');
+            panel.querySelector('.voicelink-output-label').hidden = outputs.length === 0;
         }
 
         /**
-         * Update user status
+         * Track which connections are currently poor
          */
-        async updateUserStatus(isOnline, isBusy = false) {
-            try {
-                await this.supabase
-                    .from('users')
-                    .update({
-                        is_online: isOnline,
-                        is_busy: isBusy,
-                        last_seen: new Date().toISOString()
-                    })
-                    .eq('username', this.config.currentUser);
-            } catch (error) {
-                console.error('Error updating user status:', error);
+        handlePoorConnection(username, poor) {
+            if (poor) {
+                this.poorConnections.add(username);
+            } else {
+                this.poorConnections.delete(username);
             }
+            this.updateQualityIndicator();
         }
 
         /**
-         * Handle user status changes
+         * Show or hide the poor connection warning in the active call overlay
          */
-        handleUserStatusChange(user) {
-            console.log('Friend status changed:', user);
-            // You can update UI based on friend's online/busy status
+        updateQualityIndicator() {
+            const indicator = this.activeCallOverlay && this.activeCallOverlay.querySelector('.voicelink-quality');
+            if (!indicator) return;
+
+            const names = [...this.poorConnections];
+            indicator.hidden = names.length === 0;
+            indicator.textContent = this.client.getState().isGroup
+                ? `⚠️ Poor connection to ${names.join(', ')}`
+                : '⚠️ Poor connection';
         }
 
         /**
-         * Show calling overlay
+         * Attach a click handler to a button inside an overlay
          */
-        showCallingOverlay() {
-            this.callOverlay = document.createElement('div');
-            this.callOverlay.className = 'voicelink-overlay';
-            this.callOverlay.innerHTML = `
-                <div class="voicelink-avatar">👤</div>
-                <div class="voicelink-status-text">Calling...</div>
-                <div class="voicelink-user-text">${this.config.friendUser}</div>
-                <div class="voicelink-call-buttons">
-                    <button class="voicelink-btn voicelink-btn-decline" onclick="window.VoiceLinkInstance.endCall()">📞</button>
-                </div>
-            `;
-            document.body.appendChild(this.callOverlay);
+        bind(overlay, selector, handler) {
+            overlay.querySelector(selector).addEventListener('click', handler);
         }
 
         /**
-         * Update calling overlay status
+         * Reflect mute, camera, share and speaker state in the controls
          */
-        updateCallingOverlayStatus(status) {
-            if (this.callOverlay) {
-                const statusText = this.callOverlay.querySelector('.voicelink-status-text');
-                if (statusText) {
-                    statusText.textContent = status;
-                }
-            }
+        updateControls() {
+            if (!this.activeCallOverlay) return;
+
+            const { isMuted, isCameraOn, isScreenSharing, isSpeakerOn, isGroup, heldBy, remoteUser } = this.client.getState();
+
+            const muteBtn = this.activeCallOverlay.querySelector('.voicelink-btn-mute');
+            muteBtn.classList.toggle('active', isMuted);
+            muteBtn.innerHTML = isMuted ? '🔇' : '🎤';
+
+            const cameraBtn = this.activeCallOverlay.querySelector('.voicelink-btn-camera');
+            cameraBtn.classList.toggle('active', isCameraOn);
+            cameraBtn.innerHTML = isCameraOn ? '📹' : '📷';
+
+            const shareBtn = this.activeCallOverlay.querySelector('.voicelink-btn-share');
+            shareBtn.classList.toggle('active', isScreenSharing);
+
+            const speakerBtn = this.activeCallOverlay.querySelector('.voicelink-btn-speaker');
+            speakerBtn.classList.toggle('active', !isSpeakerOn);
+            speakerBtn.innerHTML = isSpeakerOn ? '🔊' : '🔈';
+
+            const holdBtn = this.activeCallOverlay.querySelector('.voicelink-btn-hold');
+            holdBtn.hidden = isGroup;
+            holdBtn.disabled = heldBy === 'remote';
+            holdBtn.classList.toggle('active', heldBy === 'local');
+            holdBtn.innerHTML = heldBy === 'local' ? '▶️' : '⏸️';
+
+            const holdStatus = this.activeCallOverlay.querySelector('.voicelink-hold-status');
+            holdStatus.hidden = !heldBy;
+            holdStatus.textContent = heldBy === 'remote' ? `${remoteUser} put you on hold` : 'On hold';
+
+            this.renderVideos();
         }
 
         /**
-         * Show incoming call overlay
+         * Sync the remote video tiles and local picture-in-picture preview
+         * with the current tracks
          */
-        showIncomingCallOverlay(callerName) {
-            this.incomingCallOverlay = document.createElement('div');
-            this.incomingCallOverlay.className = 'voicelink-overlay';
-            this.incomingCallOverlay.innerHTML = `
-                <div class="voicelink-avatar">👤</div>
-                <div class="voicelink-status-text">Incoming Call</div>
-                <div class="voicelink-user-text">${callerName}</div>
-                <div class="voicelink-call-buttons">
-                    <button class="voicelink-btn voicelink-btn-accept" onclick="window.VoiceLinkInstance.acceptCall()">✓</button>
-                    <button class="voicelink-btn voicelink-btn-decline" onclick="window.VoiceLinkInstance.declineCall()">✗</button>
-                </div>
-            `;
-            document.body.appendChild(this.incomingCallOverlay);
+        renderVideos() {
+            if (!this.activeCallOverlay) return;
+
+            const { localStream, isCameraOn, remoteStreams } = this.client.getState();
+            const screenStream = this.client.screenStream;
+            const container = this.activeCallOverlay.querySelector('.voicelink-videos');
+            const localVideo = this.activeCallOverlay.querySelector('.voicelink-local-video');
+
+            // Remote tiles, one per participant sending video
+            const senders = remoteStreams.filter(({ stream }) =>
+                stream.getVideoTracks().some(track => track.readyState === 'live' && !track.muted)
+            );
+
+            container.querySelectorAll('video').forEach(video => {
+                if (!senders.some(sender => sender.username === video.dataset.username)) {
+                    video.remove();
+                }
+            });
+
+            senders.forEach(({ username, stream }) => {
+                let video = container.querySelector(`video[data-username="${username}"]`);
+                if (!video) {
+                    video = document.createElement('video');
+                    video.autoplay = true;
+                    video.playsInline = true;
+                    video.muted = true; // Audio plays through the peer's audio element
+                    video.dataset.username = username;
+                    container.appendChild(video);
+                }
+                if (video.srcObject !== stream) {
+                    video.srcObject = stream;
+                }
+            });
+
+            // Local preview shows the shared screen while sharing, else the camera
+            const hasLocalVideo = !!localStream && localStream.getVideoTracks().length > 0;
+            const previewStream = screenStream || (hasLocalVideo && isCameraOn ? localStream : null);
+            if (previewStream && localVideo.srcObject !== previewStream) {
+                localVideo.srcObject = previewStream;
+            }
+            localVideo.style.display = previewStream ? 'block' : 'none';
+            localVideo.classList.toggle('voicelink-local-screen', !!screenStream);
+
+            this.activeCallOverlay.classList.toggle('voicelink-video-call', senders.length > 0 || !!previewStream);
         }
 
         /**
-         * Show active call overlay
+         * Render the group participant list (and the names on the calling overlay)
          */
-        showActiveCallOverlay() {
-            this.activeCallOverlay = document.createElement('div');
-            this.activeCallOverlay.className = 'voicelink-overlay';
-            this.activeCallOverlay.innerHTML = `
-                <div class="voicelink-avatar">👤</div>
-                <div class="voicelink-status-text">${this.isInitiator ? this.config.friendUser : this.config.friendUser}</div>
-                <div class="voicelink-duration" id="call-duration">00:00</div>
-                <div class="voicelink-controls">
-                    <button class="voicelink-btn voicelink-btn-mute" onclick="window.VoiceLinkInstance.toggleMute()">🎤</button>
-                    <button class="voicelink-btn voicelink-btn-end" onclick="window.VoiceLinkInstance.endCall()">📞</button>
-                    <button class="voicelink-btn voicelink-btn-speaker" onclick="window.VoiceLinkInstance.toggleSpeaker()">🔊</button>
-                </div>
-            `;
-            document.body.appendChild(this.activeCallOverlay);
+        renderParticipants() {
+            if (!this.client.isGroup) return;
+
+            const others = this.client.getParticipants()
+                .filter(p => p.username !== this.config.currentUser && (p.status === 'joined' || p.status === 'invited'));
+
+            const names = this.callOverlay && this.callOverlay.querySelector('.voicelink-user-text');
+            if (names) {
+                names.textContent = others.map(p => p.username).join(', ');
+            }
+
+            const list = this.activeCallOverlay && this.activeCallOverlay.querySelector('.voicelink-participants');
+            if (!list) return;
+
+            list.innerHTML = '';
+            others.forEach(p => {
+                const item = document.createElement('span');
+                item.className = `voicelink-participant ${p.status}`;
+                item.textContent = p.status === 'joined' ? p.username : `${p.username} (ringing)`;
+                list.appendChild(item);
+            });
         }
 
         /**
@@ -1042,26 +7115,18 @@
          */
         startDurationTimer() {
             this.durationInterval = setInterval(() => {
-                const duration = Math.floor((Date.now() - this.callStartTime) / 1000);
+                // Talk time stands still while the call is on hold
+                const duration = this.client.getState().talkTime;
                 const minutes = Math.floor(duration / 60).toString().padStart(2, '0');
                 const seconds = (duration % 60).toString().padStart(2, '0');
                 
-                const durationEl = document.getElementById('call-duration');
+                const durationEl = this.activeCallOverlay && this.activeCallOverlay.querySelector('.voicelink-duration');
                 if (durationEl) {
                     durationEl.textContent = `${minutes}:${seconds}`;
                 }
             }, 1000);
         }
 
-        /**
-         * Start heartbeat to maintain online status
-         */
-        startHeartbeat() {
-            this.heartbeatInterval = setInterval(async () => {
-                await this.updateUserStatus(true, this.callStatus !== 'idle');
-            }, 30000); // Every 30 seconds
-        }
-
         /**
          * Request notification permission
          */
@@ -1112,36 +7177,18 @@
         }
 
         /**
-         * Clean up resources
+         * Stop sounds and timers and remove the call overlays
          */
-        cleanup() {
-            // Close peer connection
-            if (this.peerConnection) {
-                this.peerConnection.close();
-                this.peerConnection = null;
-            }
-
-            // Stop local stream
-            if (this.localStream) {
-                this.localStream.getTracks().forEach(track => track.stop());
-                this.localStream = null;
-            }
-
-            // Remove remote audio element
-            const remoteAudio = document.getElementById('voicelink-remote-audio');
-            if (remoteAudio) {
-                remoteAudio.remove();
-            }
-
-            // Clear intervals
-            if (this.heartbeatInterval) {
-                clearInterval(this.heartbeatInterval);
+        reset() {
+            this.stopRinging();
+            this.poorConnections.clear();
+            if (this.vibrateInterval) {
+                clearInterval(this.vibrateInterval);
+                this.vibrateInterval = null;
             }
             if (this.durationInterval) {
                 clearInterval(this.durationInterval);
-            }
-            if (this.vibrateInterval) {
-                clearInterval(this.vibrateInterval);
+                this.durationInterval = null;
             }
 
             // Remove overlays
@@ -1157,21 +7204,25 @@
                 this.activeCallOverlay.remove();
                 this.activeCallOverlay = null;
             }
+        }
 
-            // Reset state
-            this.callStatus = 'idle';
-            this.currentCallId = null;
-            this.currentRoomId = null;
-            this.isInitiator = false;
-            this.callStartTime = null;
-            this.recordedChunks = [];
-            this.reconnectAttempts = 0;
-
-            // Update user status to not busy
-            this.updateUserStatus(true, false);
-
-            // Restart heartbeat
-            this.startHeartbeat();
+        /**
+         * Remove everything this layer added and stop listening to the client
+         */
+        destroy() {
+            this.reset();
+            this.removePreflightOverlay();
+            this.listeners.forEach(([event, handler]) => this.client.off(event, handler));
+            this.listeners = [];
+
+            if (this.documentClickHandler) {
+                document.removeEventListener('click', this.documentClickHandler);
+                this.documentClickHandler = null;
+            }
+            if (this.createdCallButton && this.callButton) {
+                this.callButton.remove();
+            }
+            this.callButton = null;
         }
     }
 
@@ -1180,10 +7231,34 @@
         instance: null,
         init: async function(config) {
             this.instance = new VoiceLink();
-            window.VoiceLinkInstance = this.instance; // For button onclick handlers
+            window.VoiceLinkInstance = this.instance; // For host pages that script the instance globally
             await this.instance.init(config);
             return this.instance;
+        },
+        call: function(username, options) {
+            if (!this.instance) throw new Error('VoiceLink: Call VoiceLink.init first');
+            return this.instance.call(username, options);
+        },
+        // Device and network check; usable before init
+        preflight: function(options) {
+            return (this.instance || new VoiceLink()).preflight(options);
+        },
+        Client: VoiceLink,
+        CallStateMachine,
+        DefaultUI,
+        // iceServerProvider that asks the transport (e.g. the edge function) for TURN credentials
+        fetchTurnCredentials: (username, transport) => transport.getTurnCredentials(username),
+        transports: {
+            SignalingTransport,
+            SupabaseTransport,
+            WebSocketTransport,
+            InMemoryTransport,
+            InMemoryHub
         }
     };
 
-})(window);
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = window.VoiceLink;
+    }
+
+})(typeof window !== 'undefined' ? window : globalThis);